@@ -24,9 +24,81 @@ const configSchema = z.object({
     .string()
     .transform((val) => parseInt(val, 10))
     .default("3"),
+  SESSION_TTL_MIN_HOURS: z
+    .string()
+    .transform((val) => parseFloat(val))
+    .default("1"),
+  SESSION_TTL_MAX_HOURS: z
+    .string()
+    .transform((val) => parseFloat(val))
+    .default("24"),
+  IDLE_WARNING_MINUTES: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("30"),
+  CLEANUP_INTERVAL_MINUTES: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("5"),
+  ARCHIVE_RETENTION_DAYS: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("7"),
+  ARCHIVE_MAX_PER_CHAT: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("10"),
+  OPENCODE_SERVER_IDLE_MINUTES: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("15"),
+  OPENCODE_HEALTH_CHECK_SECONDS: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("30"),
+  SHUTDOWN_TIMEOUT_SECONDS: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("30"),
+  ADMIN_API_TOKEN: z
+    .string()
+    .min(16, "ADMIN_API_TOKEN must be at least 16 characters")
+    .optional(),
   DATA_DIR: z.string().default("/data"),
   WORKSPACE_BASE: z.string().default("/tmp/agent"),
-  LOG_LEVEL: z.enum(["debug", "info", "warn", "error"]).default("info"),
+  // LOG_LEVEL and SESSION_LOG_MAX_MB are validated by src/logger.js, which
+  // config-free modules load too
+  MAX_UPLOAD_MB: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("20"),
+  MAX_DOWNLOAD_MB: z
+    .string()
+    .transform((val) => parseInt(val, 10))
+    .default("50"),
+  GIT_AUTHOR_NAME: z.string().default("OpenCode Agent"),
+  GIT_AUTHOR_EMAIL: z.string().default("agent@localhost"),
+  EXTRACT_UPLOADED_ARCHIVES: z
+    .enum(["true", "false"])
+    .transform((val) => val === "true")
+    .default("true"),
+  RECORD_EVENTS: z
+    .enum(["true", "false"])
+    .transform((val) => val === "true")
+    .default("true"),
+  EVENT_RECORDING_MAX_MB: z
+    .string()
+    .transform((val) => parseFloat(val))
+    .default("10"),
+  APPROVAL_TIMEOUT_MINUTES: z
+    .string()
+    .transform((val) => parseFloat(val))
+    .default("30"),
+  APPROVAL_TIMEOUT_DECISION: z.enum(["deny", "approve"]).default("deny"),
+  APPROVAL_REMINDER_MINUTES: z
+    .string()
+    .transform((val) => parseFloat(val))
+    .default("10"),
 });
 
 const parsed = configSchema.safeParse(process.env);
@@ -0,0 +1,248 @@
+import { timingSafeEqual } from 'crypto';
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { config } from '../config.js';
+import { sessionManager } from './session.js';
+import { jobQueue } from './queue.js';
+import { serverSupervisor } from './supervisor.js';
+import { userAccess } from './users.js';
+import { runCleanup } from './cleanup.js';
+import { notifyJobCancelled } from './telegram.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('api');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted', 'retried'];
+
+/**
+ * Request schemas of the admin API, exported for tooling that drives it
+ */
+export const schemas = {
+  sessionQuery: z.object({
+    chatId: z.string().regex(/^-?\d+$/).optional()
+  }),
+  sessionParams: z.object({
+    id: z.string().min(1)
+  }),
+  jobQuery: z.object({
+    chatId: z.string().regex(/^-?\d+$/).optional(),
+    sessionId: z.string().min(1).optional(),
+    status: z.enum(JOB_STATUSES).optional()
+  }),
+  jobParams: z.object({
+    id: z.string().min(1)
+  }),
+  userBody: z.object({
+    userId: z.union([z.string().regex(/^\d+$/), z.number().int().positive()]).transform(String)
+  }),
+  userParams: z.object({
+    userId: z.string().regex(/^\d+$/)
+  })
+};
+
+// The request schemas as JSON Schema, served at GET /api/schemas
+const jsonSchemas = Object.fromEntries(
+  Object.entries(schemas).map(([name, schema]) => [name, zodToJsonSchema(schema)])
+);
+
+/**
+ * What the API exposes of a session: its ids, settings and activity, but not
+ * its on-disk paths or pending uploads
+ */
+function toSessionDto(session) {
+  return {
+    id: session.id,
+    chatId: session.chatId,
+    name: session.name ?? null,
+    status: session.status,
+    model: session.model,
+    opencodeSessionId: session.opencodeSessionId ?? null,
+    createdAt: session.createdAt ?? null,
+    lastActive: session.lastActive,
+    expiresAt: sessionManager.getSessionExpiresAt(session),
+    permissionProfile: session.permissionProfile ?? null,
+    permissionRules: session.permissionRules ?? [],
+    repo: session.repo ?? null
+  };
+}
+
+/**
+ * What the API exposes of a job: its ids, prompt and progress, and its
+ * attachments by workspace-relative path only
+ */
+function toJobDto(job) {
+  return {
+    id: job.id,
+    chatId: job.chatId,
+    sessionId: job.sessionId,
+    userId: job.userId,
+    message: job.message,
+    sessionName: job.data?.sessionName ?? null,
+    attachments: (job.data?.attachments || []).map(({ path, mime, size, image, extractedTo }) => ({
+      path,
+      mime,
+      size,
+      image,
+      extractedTo: extractedTo ?? null
+    })),
+    replay: job.data?.replay ?? null,
+    status: job.status,
+    position: job.position,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    endedAt: job.endedAt,
+    error: job.error
+  };
+}
+
+class ApiError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function parse(schema, value) {
+  const result = schema.safeParse(value ?? {});
+  if (!result.success) {
+    throw new ApiError(400, 'Invalid request', result.error.flatten());
+  }
+  return result.data;
+}
+
+function isValidToken(header) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) {
+    return false;
+  }
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(config.ADMIN_API_TOKEN);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function findSession(id) {
+  const session = sessionManager.getSessionById(id);
+  if (!session) {
+    throw new ApiError(404, `Session ${id} not found`);
+  }
+  return session;
+}
+
+function findJob(id) {
+  const job = jobQueue.getJob(id);
+  if (!job) {
+    throw new ApiError(404, `Job ${id} not found`);
+  }
+  return job;
+}
+
+/**
+ * Token-protected admin API, registered under /api. Disabled unless
+ * ADMIN_API_TOKEN is set.
+ */
+export async function adminApi(api) {
+  api.addHook('onRequest', async (request, reply) => {
+    if (!isValidToken(request.headers.authorization)) {
+      return reply.status(401).send({ error: 'Unauthorized' });
+    }
+  });
+
+  api.setErrorHandler((error, request, reply) => {
+    if (error instanceof ApiError) {
+      return reply.status(error.statusCode).send({ error: error.message, details: error.details });
+    }
+    request.log.error(error);
+    return reply.status(error.statusCode || 500).send({ error: error.message });
+  });
+
+  api.get('/schemas', async () => {
+    return { schemas: jsonSchemas };
+  });
+
+  api.get('/sessions', async (request) => {
+    const { chatId } = parse(schemas.sessionQuery, request.query);
+    const sessions = chatId ? sessionManager.getChatSessions(chatId) : sessionManager.getAllSessions();
+    return { sessions: sessions.map(toSessionDto) };
+  });
+
+  api.get('/sessions/:id', async (request) => {
+    const { id } = parse(schemas.sessionParams, request.params);
+    const session = findSession(id);
+    return {
+      session: toSessionDto(session),
+      active: (await sessionManager.getSession(session.chatId))?.id === session.id,
+      server: await serverSupervisor.getServerStatus(session.id),
+      jobs: jobQueue.getAllJobs().filter((job) => job.sessionId === session.id).map(toJobDto)
+    };
+  });
+
+  api.delete('/sessions/:id', async (request) => {
+    const { id } = parse(schemas.sessionParams, request.params);
+    const session = findSession(id);
+    if (jobQueue.getAllJobs().some((job) => job.sessionId === id && job.status === 'running')) {
+      throw new ApiError(409, 'Session has a running job; cancel it first');
+    }
+    await sessionManager.endSession(session.chatId, session.id, { reason: 'admin' });
+    log.info('session ended', { sessionId: id });
+    return { ended: true, sessionId: id };
+  });
+
+  api.get('/jobs', async (request) => {
+    const { chatId, sessionId, status } = parse(schemas.jobQuery, request.query);
+    const jobs = jobQueue
+      .getAllJobs()
+      .filter((job) => (!chatId || job.chatId === chatId) &&
+        (!sessionId || job.sessionId === sessionId) &&
+        (!status || job.status === status))
+      .map(toJobDto);
+    return {
+      jobs,
+      queue: {
+        running: jobQueue.runningJobs.size,
+        queued: jobQueue.getQueuedCount(),
+        concurrency: jobQueue.concurrency
+      }
+    };
+  });
+
+  api.get('/jobs/:id', async (request) => {
+    const { id } = parse(schemas.jobParams, request.params);
+    return { job: toJobDto(findJob(id)) };
+  });
+
+  api.post('/jobs/:id/cancel', async (request) => {
+    const { id } = parse(schemas.jobParams, request.params);
+    findJob(id);
+    const cancelled = jobQueue.cancelJob(id);
+    if (!cancelled) {
+      throw new ApiError(409, `Job ${id} is not running or queued`);
+    }
+    await notifyJobCancelled(cancelled);
+    log.info('job cancelled', { jobId: id });
+    return { job: toJobDto(cancelled) };
+  });
+
+  api.post('/cleanup', async () => {
+    await runCleanup();
+    return { ok: true };
+  });
+
+  api.get('/users', async () => {
+    return { users: userAccess.listUsers() };
+  });
+
+  api.post('/users', async (request, reply) => {
+    const { userId } = parse(schemas.userBody, request.body);
+    await userAccess.addUser(userId);
+    return reply.status(201).send({ users: userAccess.listUsers() });
+  });
+
+  api.delete('/users/:userId', async (request) => {
+    const { userId } = parse(schemas.userParams, request.params);
+    if (!await userAccess.removeUser(userId)) {
+      throw new ApiError(404, `User ${userId} is not allowed`);
+    }
+    return { users: userAccess.listUsers() };
+  });
+}
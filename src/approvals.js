@@ -0,0 +1,380 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+import { escapeHtml } from './render.js';
+
+const PENDING_FILE = path.join(config.DATA_DIR, 'approvals.json');
+const AUDIT_FILE = path.join(config.DATA_DIR, 'permission-audit.jsonl');
+const QUESTIONS_FILE = path.join(config.DATA_DIR, 'questions.json');
+const MAX_AUDIT_INPUT_CHARS = 1000;
+const AUDIT_TAIL_BYTES = 64 * 1024;
+const MAX_INLINE_DIFF_CHARS = 2500;
+const MAX_INLINE_DIFF_LINES = 40;
+const MAX_INLINE_COMMAND_CHARS = 2500;
+
+const log = createLogger('approvals');
+
+export const APPROVAL_DECISIONS = ['approve', 'approve_pattern', 'approve_all', 'deny'];
+export const QUESTION_DECISIONS = ['answer', 'dismiss'];
+
+/**
+ * The last `maxBytes` of a file, cut at a line boundary. `complete` is set
+ * when that is the whole file.
+ */
+async function readTail(filePath, maxBytes) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const start = Math.max(0, size - maxBytes);
+    const buffer = Buffer.alloc(size - start);
+    await handle.read(buffer, 0, buffer.length, start);
+    if (start === 0) {
+      return { text: buffer.toString(), complete: true };
+    }
+    return { text: buffer.subarray(buffer.indexOf('\n') + 1).toString(), complete: false };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Parse a JSONL line, or null for one torn by a crash mid-write
+ */
+function parseJsonLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A path as shown to the user and matched by edit patterns: relative to the
+ * workspace when inside it
+ */
+function toWorkspacePath(filePath, workspacePath) {
+  if (!workspacePath || !path.isAbsolute(filePath)) {
+    return filePath;
+  }
+  const relative = path.relative(workspacePath, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return filePath;
+  }
+  return relative || '.';
+}
+
+/**
+ * What a permission request is about, as matched by policy patterns: the
+ * command(s) for bash, workspace-relative paths for edits
+ */
+export function getRequestSubjects({ tool, input = {}, patterns = [], toolInput = {} }, workspacePath) {
+  if (patterns.length > 0) {
+    return tool === 'edit' ? patterns.map((pattern) => toWorkspacePath(pattern, workspacePath)) : patterns;
+  }
+  if (tool === 'bash' && toolInput.command) {
+    return [toolInput.command];
+  }
+  if (tool === 'edit' && input.filepath) {
+    return [toWorkspacePath(input.filepath, workspacePath)];
+  }
+  return [];
+}
+
+/**
+ * A rule pattern narrower than the whole tool for "Approve pattern", e.g.
+ * `npm run *` or `src/*`. OpenCode's own suggestion (`always`) is preferred.
+ * Returns null when there is nothing narrower to offer.
+ */
+export function suggestApprovalPattern(request, workspacePath) {
+  const suggested = (request.always || []).find((pattern) => pattern !== '*');
+  if (suggested) {
+    return suggested;
+  }
+
+  const [subject] = getRequestSubjects(request, workspacePath);
+  if (!subject) {
+    return null;
+  }
+  if (request.tool === 'bash') {
+    // The program, plus its subcommand if it has one (`git status`, `npm run`)
+    const words = subject.trim().split(/\s+/);
+    const prefix = /^[a-z][\w.-]*$/i.test(words[1] || '') ? words.slice(0, 2) : words.slice(0, 1);
+    return `${prefix.join(' ')} *`;
+  }
+  if (request.tool === 'edit') {
+    const directory = path.posix.dirname(subject);
+    return directory === '.' || path.isAbsolute(directory) ? null : `${directory}/*`;
+  }
+  return null;
+}
+
+function countDiffLines(diff) {
+  const lines = diff.split('\n');
+  return {
+    added: lines.filter((line) => line.startsWith('+') && !line.startsWith('+++')).length,
+    removed: lines.filter((line) => line.startsWith('-') && !line.startsWith('---')).length
+  };
+}
+
+/**
+ * The approval prompt (Telegram HTML) for a permission request. Bash requests
+ * show the full command and its directory, edits the proposed diff. Commands
+ * and diffs too long for a message are returned as `document` to attach.
+ */
+export function renderApprovalRequest(request, workspacePath) {
+  const { tool, input = {}, toolInput = {} } = request;
+  const lines = ['⚠️ <b>Permission Request</b>', '', `Tool: <code>${escapeHtml(tool)}</code>`];
+  let document = null;
+
+  const command = toolInput.command || input.command || (tool === 'bash' ? getRequestSubjects(request).join('\n') : '');
+  if (tool === 'bash' && command) {
+    const directory = toWorkspacePath(toolInput.workdir || workspacePath || '.', workspacePath);
+    lines.push(`Directory: <code>${escapeHtml(directory === '.' ? 'workspace root' : directory)}</code>`);
+    if (command.length > MAX_INLINE_COMMAND_CHARS) {
+      document = { filename: 'command.sh', content: `${command}\n` };
+      lines.push(`Command: ${command.length} characters, attached as a file`);
+    } else {
+      lines.push(`<pre><code class="language-bash">${escapeHtml(command)}</code></pre>`);
+    }
+  } else if (tool === 'edit' && (input.diff || input.filepath)) {
+    const [file = ''] = getRequestSubjects(request, workspacePath);
+    lines.push(`File: <code>${escapeHtml(file)}</code>`);
+
+    // The "Index:" and "===" header lines say nothing the file line doesn't
+    const diff = (input.diff || '').replace(/^(Index:.*|=+)\n/gm, '').trim();
+    if (diff) {
+      const { added, removed } = countDiffLines(diff);
+      const summary = `Changes: +${added} −${removed} lines`;
+      if (diff.length > MAX_INLINE_DIFF_CHARS || diff.split('\n').length > MAX_INLINE_DIFF_LINES) {
+        document = { filename: `${path.basename(file) || 'changes'}.patch`, content: `${input.diff.trim()}\n` };
+        lines.push(`${summary}, the proposed diff is attached`);
+      } else {
+        lines.push(summary, `<pre><code class="language-diff">${escapeHtml(diff)}</code></pre>`);
+      }
+    }
+  } else {
+    lines.push(`Input: <code>${escapeHtml(JSON.stringify(input).slice(0, 200))}</code>`);
+  }
+
+  return { html: lines.join('\n'), document };
+}
+
+/**
+ * Requests waiting on a user: permission requests, and the agent's questions.
+ * - Each request gets reminder pings and, after a timeout, a default decision.
+ * - Pending requests are persisted to `persistPath`, so those left open by a
+ *   crash can be closed out (with `restoreDecision`) after a restart.
+ * - Every decision is appended to the audit log at `auditPath` (JSON lines),
+ *   if there is one.
+ *
+ * The tracker only records and times requests; the caller resolves the job's
+ * waiting promise and updates the Telegram message.
+ */
+export class ApprovalTracker {
+  constructor({
+    persistPath = PENDING_FILE,
+    auditPath = AUDIT_FILE,
+    timeoutMs = config.APPROVAL_TIMEOUT_MINUTES * 60 * 1000,
+    reminderMs = config.APPROVAL_REMINDER_MINUTES * 60 * 1000,
+    timeoutDecision = config.APPROVAL_TIMEOUT_DECISION,
+    restoreDecision = 'deny',
+    decisions = APPROVAL_DECISIONS
+  } = {}) {
+    this.persistPath = persistPath;
+    this.auditPath = auditPath;
+    this.timeoutMs = timeoutMs;
+    this.reminderMs = reminderMs;
+    this.timeoutDecision = timeoutDecision;
+    this.restoreDecision = restoreDecision;
+    this.decisions = decisions;
+    this.pending = new Map(); // request id -> request
+    this.timers = new Map(); // request id -> { reminder, timeout }
+    this.persistChain = Promise.resolve();
+  }
+
+  /**
+   * Track a request ({ id, jobId, sessionId, chatId, messageId, tool, input,
+   * pattern, text }).
+   * `onReminder(request)` is called every reminder interval while it is
+   * pending, and `onTimeout(request, decision)` once it times out; the
+   * caller is expected to pass the decision on to `decide`.
+   */
+  add(request, { onReminder, onTimeout } = {}) {
+    const now = Date.now();
+    const entry = {
+      ...request,
+      requestedAt: now,
+      expiresAt: this.timeoutMs > 0 ? now + this.timeoutMs : null
+    };
+    this.pending.set(entry.id, entry);
+
+    const timers = {};
+    if (this.reminderMs > 0 && onReminder) {
+      timers.reminder = setInterval(() => {
+        if (!entry.expiresAt || entry.expiresAt - Date.now() >= this.reminderMs / 2) {
+          onReminder(entry);
+        }
+      }, this.reminderMs);
+      timers.reminder.unref();
+    }
+    if (entry.expiresAt && onTimeout) {
+      timers.timeout = setTimeout(() => onTimeout(entry, this.timeoutDecision), this.timeoutMs);
+      timers.timeout.unref();
+    }
+    this.timers.set(entry.id, timers);
+
+    this.persist();
+    return entry;
+  }
+
+  get(id) {
+    return this.pending.get(id) || null;
+  }
+
+  /**
+   * Close a pending request with `decision` (one of the tracker's
+   * `decisions`). `source` is 'user' (with userId and username), 'rule' (a
+   * session rule added since the server started), 'timeout', 'cancelled' or
+   * 'restart'. Returns the decided request, or null if it was no longer
+   * pending (e.g. two buttons pressed at once).
+   */
+  async decide(id, { decision, source = 'user', userId = null, username = null }) {
+    if (!this.decisions.includes(decision)) {
+      throw new Error(`Decision must be one of ${this.decisions.join(', ')}`);
+    }
+    const request = this.pending.get(id);
+    if (!request) {
+      return null;
+    }
+
+    this.pending.delete(id);
+    this.clearTimers(id);
+    request.decision = { decision, source, userId, username, decidedAt: Date.now() };
+
+    await Promise.all([this.persist(), this.audit(request)]);
+    log.info('request decided', { id, jobId: request.jobId, tool: request.tool, decision, source });
+    return request;
+  }
+
+  clearTimers(id) {
+    const timers = this.timers.get(id);
+    if (timers) {
+      clearInterval(timers.reminder);
+      clearTimeout(timers.timeout);
+      this.timers.delete(id);
+    }
+  }
+
+  async audit(request) {
+    if (!this.auditPath) {
+      return;
+    }
+    const input = JSON.stringify(request.input ?? {});
+    const entry = {
+      at: new Date(request.decision.decidedAt).toISOString(),
+      permissionId: request.id,
+      jobId: request.jobId,
+      sessionId: request.sessionId,
+      chatId: request.chatId,
+      tool: request.tool,
+      input: input.length > MAX_AUDIT_INPUT_CHARS ? `${input.slice(0, MAX_AUDIT_INPUT_CHARS)}…` : input,
+      decision: request.decision.decision,
+      ...(request.decision.decision === 'approve_pattern' ? { pattern: request.pattern } : {}),
+      source: request.decision.source,
+      userId: request.decision.userId,
+      username: request.decision.username,
+      waitedMs: request.decision.decidedAt - request.requestedAt
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.auditPath), { recursive: true });
+      await fs.appendFile(this.auditPath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      log.error('failed to write audit entry', { permissionId: request.id, error: error.message });
+    }
+  }
+
+  /**
+   * The last `limit` audit entries, newest last, optionally for one chat
+   */
+  async readAudit({ chatId, limit = 20 } = {}) {
+    if (!this.auditPath) {
+      return [];
+    }
+
+    // Read back from the end in growing windows until enough entries turn up
+    for (let maxBytes = AUDIT_TAIL_BYTES; ; maxBytes *= 4) {
+      let tail;
+      try {
+        tail = await readTail(this.auditPath, maxBytes);
+      } catch {
+        return [];
+      }
+
+      const entries = tail.text
+        .split('\n')
+        .map(parseJsonLine)
+        .filter((entry) => entry && (chatId == null || entry.chatId === chatId.toString()));
+      if (entries.length >= limit || tail.complete) {
+        return entries.slice(-limit);
+      }
+    }
+  }
+
+  persist() {
+    if (!this.persistPath) {
+      return this.persistChain;
+    }
+
+    const content = JSON.stringify(Array.from(this.pending.values()), null, 2);
+
+    this.persistChain = this.persistChain
+      .then(async () => {
+        const tmpPath = `${this.persistPath}.tmp`;
+        await fs.mkdir(path.dirname(this.persistPath), { recursive: true });
+        await fs.writeFile(tmpPath, content);
+        await fs.rename(tmpPath, this.persistPath);
+      })
+      .catch((error) => {
+        log.error('failed to persist pending requests', { path: this.persistPath, error: error.message });
+      });
+
+    return this.persistChain;
+  }
+
+  /**
+   * After a restart, requests still pending belong to OpenCode servers that
+   * are gone, so nothing can act on an answer any more. They are closed with
+   * `restoreDecision` (source 'restart') and returned so their messages can
+   * be updated.
+   */
+  async restore() {
+    let saved = [];
+    try {
+      saved = JSON.parse(await fs.readFile(this.persistPath, 'utf8'));
+    } catch {
+      return [];
+    }
+
+    const expired = [];
+    for (const request of saved) {
+      this.pending.set(request.id, request);
+      expired.push(await this.decide(request.id, { decision: this.restoreDecision, source: 'restart' }));
+    }
+
+    log.info('closed requests left pending by a restart', { path: this.persistPath, expired: expired.length });
+    return expired;
+  }
+}
+
+export const approvalTracker = new ApprovalTracker();
+
+// Unanswered questions are dismissed, so the agent carries on without an answer
+export const questionTracker = new ApprovalTracker({
+  persistPath: QUESTIONS_FILE,
+  auditPath: null,
+  timeoutDecision: 'dismiss',
+  restoreDecision: 'dismiss',
+  decisions: QUESTION_DECISIONS
+});
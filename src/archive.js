@@ -0,0 +1,154 @@
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+import { toPersistedSession } from './session.js';
+
+const execFileAsync = promisify(execFile);
+
+const ARCHIVES_DIR = path.join(config.DATA_DIR, 'archives');
+
+const log = createLogger('archive');
+
+/**
+ * Snapshots of ended sessions (workspace + OpenCode data dir) kept under DATA_DIR
+ */
+class SessionArchive {
+  archivePath(sessionId) {
+    return path.join(ARCHIVES_DIR, `${sessionId}.tar.gz`);
+  }
+
+  metadataPath(sessionId) {
+    return path.join(ARCHIVES_DIR, `${sessionId}.json`);
+  }
+
+  /**
+   * Archive a session's workspace and data dir before it is removed
+   */
+  async archiveSession(session, reason) {
+    const baseDir = path.dirname(session.workspacePath);
+    const parentDir = path.dirname(baseDir);
+    const sessionDirName = path.basename(baseDir);
+
+    try {
+      await fs.access(session.workspacePath);
+    } catch {
+      log.info('nothing to archive', { sessionId: session.id });
+      return null;
+    }
+
+    await fs.mkdir(ARCHIVES_DIR, { recursive: true });
+    const archivePath = this.archivePath(session.id);
+    const members = ['workspace', 'data', 'logs'].map((dir) => path.join(sessionDirName, dir));
+
+    try {
+      // Dependencies can be reinstalled, so keep them out of the snapshot
+      await execFileAsync('tar', [
+        '-czf', archivePath,
+        '--exclude=node_modules',
+        '--ignore-failed-read',
+        '-C', parentDir,
+        ...members
+      ], { timeout: 10 * 60 * 1000 });
+    } catch (error) {
+      log.error('failed to archive session', { sessionId: session.id, error: error.message });
+      await fs.rm(archivePath, { force: true });
+      return null;
+    }
+
+    const { size } = await fs.stat(archivePath);
+    const metadata = {
+      session: { ...toPersistedSession(session), status: 'archived' },
+      reason,
+      archivedAt: Date.now(),
+      size
+    };
+    await fs.writeFile(this.metadataPath(session.id), JSON.stringify(metadata, null, 2));
+
+    log.info('archived session', { sessionId: session.id, reason, size });
+    return metadata;
+  }
+
+  async listArchives(chatId) {
+    let files = [];
+    try {
+      files = await fs.readdir(ARCHIVES_DIR);
+    } catch {
+      return [];
+    }
+
+    const archives = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const metadata = JSON.parse(await fs.readFile(path.join(ARCHIVES_DIR, file), 'utf8'));
+        if (chatId === undefined || metadata.session.chatId === chatId.toString()) {
+          archives.push(metadata);
+        }
+      } catch (error) {
+        log.error('unreadable archive metadata', { file, error: error.message });
+      }
+    }
+
+    return archives.sort((a, b) => b.archivedAt - a.archivedAt);
+  }
+
+  async getArchive(sessionId) {
+    try {
+      return JSON.parse(await fs.readFile(this.metadataPath(sessionId), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Unpack an archive back to the session's original directories
+   */
+  async extractArchive(metadata) {
+    const baseDir = path.dirname(metadata.session.workspacePath);
+    await fs.rm(baseDir, { recursive: true, force: true });
+    await fs.mkdir(path.dirname(baseDir), { recursive: true });
+    await execFileAsync('tar', ['-xzf', this.archivePath(metadata.session.id), '-C', path.dirname(baseDir)], {
+      timeout: 10 * 60 * 1000
+    });
+    log.info('extracted archive', { sessionId: metadata.session.id, baseDir });
+  }
+
+  async removeArchive(sessionId) {
+    await fs.rm(this.archivePath(sessionId), { force: true });
+    await fs.rm(this.metadataPath(sessionId), { force: true });
+  }
+
+  /**
+   * Drop archives past the retention window, and beyond the per-chat limit
+   */
+  async pruneArchives({ maxAgeDays = config.ARCHIVE_RETENTION_DAYS, maxPerChat = config.ARCHIVE_MAX_PER_CHAT } = {}) {
+    const now = Date.now();
+    const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+    const perChat = new Map();
+    let removed = 0;
+
+    for (const metadata of await this.listArchives()) {
+      const chatId = metadata.session.chatId;
+      const kept = perChat.get(chatId) || 0;
+
+      if (now - metadata.archivedAt > maxAgeMs || kept >= maxPerChat) {
+        await this.removeArchive(metadata.session.id);
+        removed += 1;
+        continue;
+      }
+      perChat.set(chatId, kept + 1);
+    }
+
+    if (removed > 0) {
+      log.info('pruned archives', { removed });
+    }
+    return removed;
+  }
+}
+
+export const sessionArchive = new SessionArchive();
@@ -1,35 +1,57 @@
 import { sessionManager } from './session.js';
 import { jobQueue } from './queue.js';
+import { sessionArchive } from './archive.js';
 import { config } from '../config.js';
+import { notifyIdleWarning, notifySessionExpired } from './telegram.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('cleanup');
+
+let cleanupTimer = null;
 
 /**
  * Start the cleanup worker
- * Runs every 30 minutes to clean up idle sessions and old jobs
+ * Runs every CLEANUP_INTERVAL_MINUTES to warn about and clean up idle sessions,
+ * old jobs and expired archives
  */
 export function startCleanupWorker() {
-  const intervalMs = 30 * 60 * 1000; // 30 minutes
+  const intervalMs = config.CLEANUP_INTERVAL_MINUTES * 60 * 1000;
 
-  console.log(`Starting cleanup worker (interval: ${intervalMs}ms)`);
+  log.info('starting cleanup worker', { intervalMs });
 
   // Run immediately on start
   runCleanup();
 
   // Schedule recurring runs
-  setInterval(runCleanup, intervalMs);
+  cleanupTimer = setInterval(runCleanup, intervalMs);
 }
 
-async function runCleanup() {
-  console.log('Running cleanup...');
+export function stopCleanupWorker() {
+  clearInterval(cleanupTimer);
+  cleanupTimer = null;
+}
+
+export async function runCleanup() {
+  log.debug('running cleanup');
 
   try {
     // Cleanup idle sessions
-    await sessionManager.cleanupIdleSessions(config.SESSION_IDLE_TIMEOUT_HOURS);
+    await sessionManager.cleanupIdleSessions(config.SESSION_IDLE_TIMEOUT_HOURS, {
+      warnBeforeMs: config.IDLE_WARNING_MINUTES * 60 * 1000,
+      // Never expire a session while one of its jobs is running
+      isBusy: (session) => jobQueue.getAllJobs().some((job) => job.sessionId === session.id && job.status === 'running'),
+      onWarn: notifyIdleWarning,
+      onExpire: notifySessionExpired
+    });
 
     // Cleanup old jobs
     jobQueue.cleanupOldJobs(24); // Keep jobs for 24 hours
 
-    console.log('Cleanup completed');
+    // Drop archived sessions past their retention
+    await sessionArchive.pruneArchives();
+
+    log.debug('cleanup completed');
   } catch (error) {
-    console.error('Cleanup error:', error);
+    log.error('cleanup failed', { error: error.message });
   }
 }
@@ -0,0 +1,69 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+
+export const CREDENTIALS_DIR = path.join(config.DATA_DIR, 'credentials');
+
+const log = createLogger('credentials');
+
+/**
+ * Per-user git remote credentials, kept under DATA_DIR and never
+ * written into a session workspace or the agent's environment.
+ */
+class CredentialStore {
+  filePath(userId) {
+    return path.join(CREDENTIALS_DIR, `${userId}.json`);
+  }
+
+  async load(userId) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(userId), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async save(userId, credentials) {
+    await fs.mkdir(CREDENTIALS_DIR, { recursive: true, mode: 0o700 });
+    await fs.writeFile(this.filePath(userId), JSON.stringify(credentials, null, 2), { mode: 0o600 });
+  }
+
+  async set(userId, host, { username, token }) {
+    const credentials = await this.load(userId);
+    credentials[host.toLowerCase()] = { username, token, updatedAt: Date.now() };
+    await this.save(userId, credentials);
+    log.info('stored credential', { userId, host });
+  }
+
+  async remove(userId, host) {
+    const credentials = await this.load(userId);
+    if (!credentials[host.toLowerCase()]) {
+      return false;
+    }
+    delete credentials[host.toLowerCase()];
+    await this.save(userId, credentials);
+    log.info('removed credential', { userId, host });
+    return true;
+  }
+
+  async listHosts(userId) {
+    return Object.keys(await this.load(userId));
+  }
+
+  /**
+   * Find the credential for a remote URL's host
+   */
+  async getForUrl(userId, url) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+    const credentials = await this.load(userId);
+    return credentials[host] || null;
+  }
+}
+
+export const credentialStore = new CredentialStore();
@@ -0,0 +1,336 @@
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('git');
+
+const SNAPSHOT_REF_PREFIX = 'refs/opencode/jobs';
+
+// Identity used for snapshot commits so they work without any user git config
+const SNAPSHOT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'opencode-telegram-agent',
+  GIT_AUTHOR_EMAIL: 'agent@localhost',
+  GIT_COMMITTER_NAME: 'opencode-telegram-agent',
+  GIT_COMMITTER_EMAIL: 'agent@localhost'
+};
+
+/**
+ * Run a git command in a directory and return stdout
+ */
+export function runGit(cwd, args, { env = {}, input, timeout = 60000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, {
+      cwd,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', ...env },
+      timeout,
+      maxBuffer: 64 * 1024 * 1024
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const message = stderr?.toString().trim() || error.message;
+        reject(new Error(`git ${args[0]} failed: ${message}`));
+        return;
+      }
+      resolve(stdout.toString());
+    });
+
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * Initialize the workspace as a git repository unless it already is one
+ */
+export async function ensureGitRepo(workspacePath) {
+  try {
+    const topLevel = (await runGit(workspacePath, ['rev-parse', '--show-toplevel'])).trim();
+    if (await fs.realpath(topLevel) === await fs.realpath(workspacePath)) {
+      return false;
+    }
+  } catch {
+    // Not a repository
+  }
+
+  await runGit(workspacePath, ['init', '-q']);
+  log.info('initialized workspace repository', { workspacePath });
+  return true;
+}
+
+/**
+ * Record the current workspace contents (honouring .gitignore) under a job ref.
+ * Uses a throwaway index so the user's staging area and HEAD are untouched.
+ */
+export async function snapshotWorkspace(workspacePath, jobId, label) {
+  await ensureGitRepo(workspacePath);
+
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-snapshot-'));
+  const env = { ...SNAPSHOT_IDENTITY, GIT_INDEX_FILE: path.join(tmpDir, 'index') };
+
+  try {
+    await runGit(workspacePath, ['add', '-A', '--', '.'], { env });
+    const tree = (await runGit(workspacePath, ['write-tree'], { env })).trim();
+    const commit = (await runGit(workspacePath, ['commit-tree', tree, '-m', `job ${jobId} ${label}`], { env })).trim();
+    await runGit(workspacePath, ['update-ref', `${SNAPSHOT_REF_PREFIX}/${jobId}/${label}`, commit]);
+    return commit;
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+function jobRefs(jobId) {
+  return [`${SNAPSHOT_REF_PREFIX}/${jobId}/before`, `${SNAPSHOT_REF_PREFIX}/${jobId}/after`];
+}
+
+/**
+ * Summarize files changed between a job's before and after snapshots
+ */
+export async function getJobChanges(workspacePath, jobId) {
+  const [before, after] = jobRefs(jobId);
+  const nameStatus = await runGit(workspacePath, ['diff', '--name-status', '--no-renames', before, after]);
+  const numstat = await runGit(workspacePath, ['diff', '--numstat', '--no-renames', before, after]);
+
+  const stats = new Map();
+  for (const line of numstat.split('\n').filter(Boolean)) {
+    const [added, removed, file] = line.split('\t');
+    stats.set(file, { added: added === '-' ? null : Number(added), removed: removed === '-' ? null : Number(removed) });
+  }
+
+  return nameStatus
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [status, file] = line.split('\t');
+      return { status, file, ...(stats.get(file) || { added: null, removed: null }) };
+    });
+}
+
+/**
+ * Unified diff of a job's changes
+ */
+export async function getJobDiff(workspacePath, jobId) {
+  const [before, after] = jobRefs(jobId);
+  return runGit(workspacePath, ['diff', '--no-renames', before, after]);
+}
+
+/**
+ * Undo a job's changes in the working tree by reverse-applying its diff
+ */
+export async function revertJobChanges(workspacePath, jobId) {
+  const [before, after] = jobRefs(jobId);
+  const patch = await runGit(workspacePath, ['diff', '--binary', '--no-renames', before, after]);
+  if (!patch.trim()) {
+    return false;
+  }
+
+  await runGit(workspacePath, ['apply', '-R', '--whitespace=nowarn', '-'], { input: patch });
+  log.info('reverted job changes', { workspacePath, jobId });
+  return true;
+}
+
+export async function hasJobSnapshot(workspacePath, jobId) {
+  try {
+    await runGit(workspacePath, ['rev-parse', '--verify', '--quiet', jobRefs(jobId)[1]]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Transports allowed for clone/fetch; keeps "ext::" and friends from running commands
+const ALLOWED_PROTOCOLS = 'file:git:http:https:ssh';
+
+const URL_CREDENTIAL_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/)([^@/]+)@/i;
+
+/**
+ * Arguments and environment for a command that talks to a remote. Credentials are handed to git through an
+ * inline credential helper reading this process's environment, so they never
+ * touch the workspace's git config.
+ */
+function remoteCommand(args, credential) {
+  const env = { GIT_ALLOW_PROTOCOL: ALLOWED_PROTOCOLS };
+  if (!credential) {
+    return { args, env };
+  }
+
+  env.GIT_CREDENTIAL_USERNAME = credential.username || 'x-access-token';
+  env.GIT_CREDENTIAL_TOKEN = credential.token;
+  return {
+    args: [
+      '-c', 'credential.helper=',
+      '-c', 'credential.helper=!f() { echo "username=$GIT_CREDENTIAL_USERNAME"; echo "password=$GIT_CREDENTIAL_TOKEN"; }; f',
+      ...args
+    ],
+    env
+  };
+}
+
+/**
+ * Split "user:token@" (or a bare "token@") out of a URL
+ */
+function splitUrlCredential(url) {
+  const match = url.match(URL_CREDENTIAL_PATTERN);
+  if (!match) {
+    return { url, credential: null };
+  }
+
+  const [username, token] = match[2].split(/:(.*)/s).map((part) => part && decodeURIComponent(part));
+  return {
+    url: url.replace(URL_CREDENTIAL_PATTERN, '$1'),
+    credential: token ? { username, token } : { token: username }
+  };
+}
+
+/**
+ * Clone a repository into an (effectively) empty workspace. Credentials in
+ * the URL take precedence over `credential` and are stripped from the stored
+ * origin.
+ */
+export async function cloneRepository(workspacePath, url, { branch, credential } = {}) {
+  const entries = await fs.readdir(workspacePath);
+  if (entries.some((entry) => entry !== '.git')) {
+    throw new Error('Workspace is not empty. Start a fresh session with /new first.');
+  }
+
+  if (entries.includes('.git')) {
+    // Only an auto-initialized snapshot repository (no commits) may be replaced
+    const hasHistory = await runGit(workspacePath, ['rev-parse', '--verify', '--quiet', 'HEAD']).then(() => true, () => false);
+    if (hasHistory) {
+      throw new Error('Workspace already has git history. Start a fresh session with /new first.');
+    }
+    await fs.rm(path.join(workspacePath, '.git'), { recursive: true, force: true });
+  }
+
+  const embedded = splitUrlCredential(url);
+  const args = ['clone', '--quiet'];
+  if (branch) {
+    args.push('--branch', branch);
+  }
+  args.push('--', embedded.url, '.');
+
+  const command = remoteCommand(args, embedded.credential || credential);
+  await runGit(workspacePath, command.args, { env: command.env, timeout: 10 * 60 * 1000 });
+  const currentBranch = (await runGit(workspacePath, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+  const head = (await runGit(workspacePath, ['rev-parse', '--short', 'HEAD'])).trim();
+
+  log.info('cloned repository', { workspacePath, url: embedded.url, branch: currentBranch });
+  return { branch: currentBranch, head };
+}
+
+/**
+ * Fetch the origin and hard-reset the checkout to the tracked branch
+ */
+export async function syncRepository(workspacePath, branch, { credential } = {}) {
+  const command = remoteCommand(['fetch', '--quiet', '--prune', 'origin'], credential);
+  await runGit(workspacePath, command.args, { env: command.env, timeout: 10 * 60 * 1000 });
+
+  const target = branch || (await runGit(workspacePath, ['rev-parse', '--abbrev-ref', 'HEAD'])).trim();
+  await runGit(workspacePath, ['checkout', '--quiet', '-B', target, `origin/${target}`]);
+  await runGit(workspacePath, ['reset', '--quiet', '--hard', `origin/${target}`]);
+  await runGit(workspacePath, ['clean', '-fdq']);
+  const head = (await runGit(workspacePath, ['rev-parse', '--short', 'HEAD'])).trim();
+
+  log.info('synced repository', { workspacePath, branch: target, head });
+  return { branch: target, head };
+}
+
+/**
+ * Diff what committing every change would record. Stages into a copy of the
+ * index so a cancelled commit leaves the user's staging area untouched.
+ */
+export async function previewAllChanges(workspacePath) {
+  await ensureGitRepo(workspacePath);
+
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-preview-'));
+  const env = { GIT_INDEX_FILE: path.join(tmpDir, 'index') };
+
+  try {
+    const indexPath = path.resolve(workspacePath, (await runGit(workspacePath, ['rev-parse', '--git-path', 'index'])).trim());
+    await fs.copyFile(indexPath, env.GIT_INDEX_FILE).catch(() => {
+      // No index yet: start from an empty one
+    });
+    await runGit(workspacePath, ['add', '-A'], { env });
+    const stat = (await runGit(workspacePath, ['diff', '--cached', '--stat'], { env })).trim();
+    const diff = await runGit(workspacePath, ['diff', '--cached'], { env });
+    return { stat, diff };
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+export async function getCurrentBranch(workspacePath) {
+  return (await runGit(workspacePath, ['symbolic-ref', '--quiet', '--short', 'HEAD'])).trim();
+}
+
+/**
+ * Commit all changes onto the given branch, creating it from HEAD if needed.
+ * An existing branch is checked out as is, carrying the changes over.
+ */
+export async function commitChanges(workspacePath, { message, branch, author }) {
+  const hasHead = await runGit(workspacePath, ['rev-parse', '--verify', '--quiet', 'HEAD']).then(() => true, () => false);
+
+  if (!hasHead) {
+    await runGit(workspacePath, ['symbolic-ref', 'HEAD', `refs/heads/${branch}`]);
+  } else if ((await getCurrentBranch(workspacePath).catch(() => '')) !== branch) {
+    const exists = await runGit(workspacePath, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]).then(() => true, () => false);
+    await runGit(workspacePath, exists ? ['checkout', '--quiet', branch] : ['checkout', '--quiet', '-b', branch]);
+  }
+
+  await runGit(workspacePath, ['add', '-A']);
+  const env = {
+    GIT_AUTHOR_NAME: author.name,
+    GIT_AUTHOR_EMAIL: author.email,
+    GIT_COMMITTER_NAME: author.name,
+    GIT_COMMITTER_EMAIL: author.email
+  };
+  await runGit(workspacePath, ['commit', '--quiet', '--no-verify', '-m', message], { env });
+  const head = (await runGit(workspacePath, ['rev-parse', '--short', 'HEAD'])).trim();
+
+  log.info('committed changes', { workspacePath, branch, head });
+  return { branch, head };
+}
+
+export async function getRemoteUrl(workspacePath, remote = 'origin') {
+  try {
+    return (await runGit(workspacePath, ['remote', 'get-url', remote])).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Push the current branch, authenticating with `credential` if given
+ */
+export async function pushCurrentBranch(workspacePath, { remote = 'origin', credential } = {}) {
+  const branch = await getCurrentBranch(workspacePath);
+  const command = remoteCommand(['push', '--quiet', '--set-upstream', remote, branch], credential);
+  await runGit(workspacePath, command.args, { env: command.env, timeout: 5 * 60 * 1000 });
+
+  log.info('pushed branch', { workspacePath, remote, branch });
+  return { branch };
+}
+
+/**
+ * Strip credentials from a URL before showing or storing it
+ */
+export function redactUrl(url) {
+  return url.replace(URL_CREDENTIAL_PATTERN, '$1');
+}
+
+/**
+ * Render a change list for Telegram
+ */
+export function formatChangeSummary(changes, { maxFiles = 20 } = {}) {
+  const lines = changes.slice(0, maxFiles).map((change) => {
+    const counts = change.added === null ? 'binary' : `+${change.added} −${change.removed}`;
+    return `${change.status} ${change.file} (${counts})`;
+  });
+
+  if (changes.length > maxFiles) {
+    lines.push(`… and ${changes.length - maxFiles} more`);
+  }
+
+  return lines.join('\n');
+}
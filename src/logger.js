@@ -0,0 +1,205 @@
+import pino from 'pino';
+import { createWriteStream, fstatSync, promises as fs, openSync, renameSync } from 'fs';
+import path from 'path';
+import { z } from 'zod';
+
+const SESSION_LOG_FILE = 'session.log';
+
+// Read here rather than in config.js so config-free modules (git, workspace)
+// can log too
+const settingsSchema = z.object({
+  LOG_LEVEL: z.enum(['debug', 'info', 'warn', 'error']).default('info'),
+  SESSION_LOG_MAX_MB: z
+    .string()
+    .transform((val) => parseFloat(val))
+    .pipe(z.number().min(0))
+    .default('10')
+});
+
+const settings = settingsSchema.safeParse(process.env);
+
+if (!settings.success) {
+  console.error('Invalid configuration:', settings.error.format());
+  process.exit(1);
+}
+
+// Past this size session.log is moved to session.log.1 and started afresh (0 = no cap)
+const SESSION_LOG_MAX_BYTES = settings.data.SESSION_LOG_MAX_MB * 1024 * 1024;
+
+// Pretty-printed in the same thread outside production; a transport worker
+// would keep short-lived processes (tests, scripts) from exiting
+const destination = process.env.NODE_ENV !== 'production'
+  ? (await import('pino-pretty')).default({ sync: true })
+  : undefined;
+
+/**
+ * The process-wide pino logger, shared with Fastify
+ */
+export const rootLogger = pino({ level: settings.data.LOG_LEVEL }, destination);
+
+const sessionStreams = new Map(); // logsDir -> { stream, bytes }
+
+/**
+ * Open (creating) the session's log file. Returns null if its directory is
+ * gone: such a session just stops logging to file.
+ */
+function openSessionStream(logsDir) {
+  const filePath = path.join(logsDir, SESSION_LOG_FILE);
+  let fd;
+  try {
+    // Opened synchronously so the file exists, and can be rotated, right away
+    fd = openSync(filePath, 'a');
+  } catch {
+    return null;
+  }
+
+  const stream = createWriteStream(filePath, { fd });
+  const file = { stream, bytes: fstatSync(fd).size };
+  stream.on('error', () => {
+    if (sessionStreams.get(logsDir) === file) {
+      sessionStreams.delete(logsDir);
+    }
+  });
+  sessionStreams.set(logsDir, file);
+  return file;
+}
+
+function appendSessionLog(logsDir, line) {
+  let file = sessionStreams.get(logsDir) || openSessionStream(logsDir);
+  if (!file) {
+    return;
+  }
+  const size = Buffer.byteLength(line);
+
+  if (SESSION_LOG_MAX_BYTES > 0 && file.bytes > 0 && file.bytes + size > SESSION_LOG_MAX_BYTES) {
+    const filePath = path.join(logsDir, SESSION_LOG_FILE);
+    try {
+      // Writes still queued on the old stream land in the rotated file
+      renameSync(filePath, `${filePath}.1`);
+    } catch {
+      // Left in place; the new stream appends to it
+    }
+    file.stream.end();
+    file = openSessionStream(logsDir);
+    if (!file) {
+      return;
+    }
+  }
+
+  file.bytes += size;
+  file.stream.write(line);
+}
+
+/**
+ * Structured logger with bound context (module, chatId, sessionId, jobId, ...).
+ * Loggers bound to a session also append JSON lines to the session's log file.
+ */
+class Logger {
+  constructor(pinoLogger, { logsDir = null } = {}) {
+    this.pino = pinoLogger;
+    this.logsDir = logsDir;
+  }
+
+  child(context) {
+    return new Logger(this.pino.child(context), { logsDir: this.logsDir });
+  }
+
+  /**
+   * Bind a session's ids as context and mirror entries to its logsDir
+   */
+  forSession(session, context = {}) {
+    return new Logger(
+      this.pino.child({ chatId: session.chatId, sessionId: session.id, ...context }),
+      { logsDir: session.logsDir || null }
+    );
+  }
+
+  write(level, message, meta) {
+    if (!this.pino.isLevelEnabled(level)) {
+      return;
+    }
+    this.pino[level](meta || {}, message);
+
+    if (this.logsDir) {
+      const entry = { time: new Date().toISOString(), level, msg: message, ...this.pino.bindings(), ...meta };
+      appendSessionLog(this.logsDir, `${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  debug(message, meta) {
+    this.write('debug', message, meta);
+  }
+
+  info(message, meta) {
+    this.write('info', message, meta);
+  }
+
+  warn(message, meta) {
+    this.write('warn', message, meta);
+  }
+
+  error(message, meta) {
+    this.write('error', message, meta);
+  }
+}
+
+export function createLogger(module) {
+  return new Logger(rootLogger.child({ module }));
+}
+
+export function getSessionLogPath(session) {
+  return path.join(session.logsDir, SESSION_LOG_FILE);
+}
+
+function isJsonLine(line) {
+  try {
+    JSON.parse(line);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a session's log, keeping only the last `maxBytes` (cut at a line
+ * boundary) and dropping lines torn by a crash mid-write. Returns null if
+ * nothing was logged yet.
+ */
+export async function readSessionLog(session, maxBytes) {
+  let handle;
+  let buffer;
+  let truncated;
+  try {
+    handle = await fs.open(getSessionLogPath(session), 'r');
+  } catch {
+    return null;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const start = Math.max(0, size - maxBytes);
+    buffer = Buffer.alloc(size - start);
+    await handle.read(buffer, 0, buffer.length, start);
+    truncated = start > 0;
+    if (truncated) {
+      buffer = buffer.subarray(buffer.indexOf('\n') + 1);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  const lines = buffer.toString().split('\n').filter(isJsonLine);
+  return { buffer: Buffer.from(lines.map((line) => `${line}\n`).join('')), truncated };
+}
+
+/**
+ * Close a session's log file, e.g. before its directory is removed
+ */
+export function closeSessionLog(session) {
+  const file = sessionStreams.get(session.logsDir);
+  if (file) {
+    sessionStreams.delete(session.logsDir);
+    return new Promise((resolve) => file.stream.end(resolve));
+  }
+  return Promise.resolve();
+}
@@ -1,24 +1,10 @@
 import { spawn as spawnChild } from 'child_process';
 import * as pty from 'node-pty';
 import { config } from '../config.js';
+import { loginAttempts } from './metrics.js';
+import { createLogger } from './logger.js';
 
-const LOG_PREFIX = 'login';
-
-function logInfo(message, meta) {
-  if (meta) {
-    console.info(`[${LOG_PREFIX}] ${message}`, meta);
-  } else {
-    console.info(`[${LOG_PREFIX}] ${message}`);
-  }
-}
-
-function logError(message, meta) {
-  if (meta) {
-    console.error(`[${LOG_PREFIX}] ${message}`, meta);
-  } else {
-    console.error(`[${LOG_PREFIX}] ${message}`);
-  }
-}
+const log = createLogger('login');
 
 const PROVIDER_LABELS = {
   openai: 'OpenAI',
@@ -37,6 +23,18 @@ function extractUrl(text) {
   return match ? match[0] : null;
 }
 
+// Abort functions of login processes still running, so shutdown can stop them
+const activeLogins = new Set();
+
+/**
+ * Stop every running login process (used on shutdown)
+ */
+export function stopAllLogins() {
+  for (const abort of activeLogins) {
+    abort('Login aborted because the bot is restarting');
+  }
+}
+
 /**
  * Perform interactive login using PTY
  */
@@ -59,6 +57,8 @@ export async function performLogin({ provider, onUrl }) {
         return;
       }
       resolved = true;
+      activeLogins.delete(abort);
+      loginAttempts.inc({ provider: providerKey || 'unknown', result: result.success ? 'success' : 'failure' });
       if (selectionTimer) {
         clearTimeout(selectionTimer);
       }
@@ -78,7 +78,7 @@ export async function performLogin({ provider, onUrl }) {
       TERM: 'xterm-256color'
     };
 
-    logInfo('starting login process', {
+    log.info('starting login process', {
       provider: providerLabel,
       providerInput,
       XDG_DATA_HOME: config.XDG_DATA_HOME
@@ -105,7 +105,7 @@ export async function performLogin({ provider, onUrl }) {
         }
 
         enterPulseCount += 1;
-        logInfo('sending enter to advance login', { count: enterPulseCount });
+        log.info('sending enter to advance login', { count: enterPulseCount });
         sendInput('\r');
 
         if (enterPulseCount >= 6) {
@@ -122,11 +122,11 @@ export async function performLogin({ provider, onUrl }) {
       selectionSent = true;
 
       if (providerInput) {
-        logInfo('sending provider selection', { provider: providerInput });
+        log.info('sending provider selection', { provider: providerInput });
         sendInput(providerInput);
         sendInput('\r');
       } else {
-        logInfo('sending default provider selection');
+        log.info('sending default provider selection');
         sendInput('\r');
       }
 
@@ -141,7 +141,7 @@ export async function performLogin({ provider, onUrl }) {
       if (now - lastOutputLogAt > 2000) {
         const snippet = text.replace(/\s+/g, ' ').trim().slice(0, 200);
         if (snippet) {
-          logInfo('login output', { snippet });
+          log.info('login output', { snippet });
         }
         lastOutputLogAt = now;
       }
@@ -150,13 +150,13 @@ export async function performLogin({ provider, onUrl }) {
         const urlMatch = extractUrl(text);
         if (urlMatch) {
           urlFound = true;
-          logInfo('login url detected', { url: urlMatch });
+          log.info('login url detected', { url: urlMatch });
           onUrl(urlMatch);
         }
       }
 
       if (text.includes('Successfully') || text.includes('Done')) {
-        logInfo('login completed successfully');
+        log.info('login completed successfully');
         finalize({ success: true });
       }
 
@@ -170,9 +170,18 @@ export async function performLogin({ provider, onUrl }) {
 
     let processHandle = null;
 
+    const abort = (reason) => {
+      if (processHandle && !killed) {
+        killed = true;
+        processHandle.kill();
+      }
+      finalize({ success: false, error: reason });
+    };
+    activeLogins.add(abort);
+
     try {
       if (pty && typeof pty.spawn === 'function') {
-        logInfo('using PTY for login');
+        log.info('using PTY for login');
         isPty = true;
         const opencode = pty.spawn('opencode', ['--print-logs', '--log-level', 'INFO', 'auth', 'login'], {
           name: 'xterm-256color',
@@ -186,7 +195,7 @@ export async function performLogin({ provider, onUrl }) {
         writeInput = (value) => opencode.write(value);
         opencode.onData(handleOutput);
         opencode.onExit(({ exitCode }) => {
-          logInfo('login process exited', { exitCode });
+          log.info('login process exited', { exitCode });
           if (exitCode === 0) {
             finalize({ success: true });
           } else {
@@ -199,7 +208,7 @@ export async function performLogin({ provider, onUrl }) {
 
         selectionTimer = setTimeout(sendProviderSelection, 1500);
       } else {
-        logInfo('using stdio for login');
+        log.info('using stdio for login');
         isPty = false;
         const opencode = spawnChild('opencode', ['--print-logs', '--log-level', 'INFO', 'auth', 'login'], {
           env,
@@ -212,7 +221,7 @@ export async function performLogin({ provider, onUrl }) {
         opencode.stderr.on('data', handleOutput);
 
         opencode.on('close', (code) => {
-          logInfo('login process closed', { code });
+          log.info('login process closed', { code });
           if (code === 0) {
             finalize({ success: true });
           } else {
@@ -224,7 +233,7 @@ export async function performLogin({ provider, onUrl }) {
         });
 
         opencode.on('error', (error) => {
-          logError('login process error', { error: error.message });
+          log.error('login process error', { error: error.message });
           finalize({
             success: false,
             error: error.message
@@ -234,7 +243,7 @@ export async function performLogin({ provider, onUrl }) {
         selectionTimer = setTimeout(sendProviderSelection, 1500);
       }
     } catch (error) {
-      logError('login setup failed', { error: error.message });
+      log.error('login setup failed', { error: error.message });
       finalize({
         success: false,
         error: error.message
@@ -245,7 +254,7 @@ export async function performLogin({ provider, onUrl }) {
     setTimeout(() => {
       if (processHandle && !killed) {
         killed = true;
-        logError('login timed out', { output: outputBuffer.slice(-500) });
+        log.error('login timed out', { output: outputBuffer.slice(-500) });
         processHandle.kill();
         finalize({
           success: false,
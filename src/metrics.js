@@ -0,0 +1,139 @@
+/**
+ * Minimal Prometheus metrics registry rendering the text exposition format
+ */
+
+const PREFIX = 'opencode_agent_';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.values = new Map(); // labelKey -> { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    return Array.from(this.values.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/**
+ * Gauge whose value is read from `collect()` at scrape time
+ */
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = 'gauge';
+    this.collect = collect;
+  }
+
+  render() {
+    const value = this.collect();
+    const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+    return samples.map((sample) => `${this.name}${formatLabels(sample.labels)} ${sample.value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.values = new Map(); // labelKey -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(PREFIX + name, help));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(PREFIX + name, help, collect));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(PREFIX + name, help, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export const metrics = new MetricsRegistry();
+
+export const jobsTotal = metrics.counter('jobs_total', 'Finished jobs by final status');
+export const jobDuration = metrics.histogram(
+  'job_duration_seconds',
+  'Run time of finished jobs by final status',
+  [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600]
+);
+export const permissionRequests = metrics.counter('permission_requests_total', 'Permission requests by tool and decision');
+export const telegramApiErrors = metrics.counter('telegram_api_errors_total', 'Failed Telegram API calls by method and error code');
+export const loginAttempts = metrics.counter('login_attempts_total', 'Provider login attempts by result');
+
@@ -1,27 +1,18 @@
 import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
-import getPort from 'get-port';
 import { createOpencode, createOpencodeClient } from '@opencode-ai/sdk';
 import { config } from '../config.js';
+import { formatAttachmentContext, buildImageParts } from './uploads.js';
+import { serverSupervisor } from './supervisor.js';
+import { sessionManager } from './session.js';
+import { permissionRequests } from './metrics.js';
+import { EventRecorder, getRecordingPath, recordEvents, replayEvents } from './recorder.js';
+import { createActivity, trackActivity } from './progress.js';
+import { permissionPolicy } from './permissions.js';
+import { createLogger } from './logger.js';
 
-const LOG_PREFIX = 'opencode';
-
-function logInfo(message, meta) {
-  if (meta) {
-    console.info(`[${LOG_PREFIX}] ${message}`, meta);
-  } else {
-    console.info(`[${LOG_PREFIX}] ${message}`);
-  }
-}
-
-function logError(message, meta) {
-  if (meta) {
-    console.error(`[${LOG_PREFIX}] ${message}`, meta);
-  } else {
-    console.error(`[${LOG_PREFIX}] ${message}`);
-  }
-}
+const log = createLogger('opencode');
 
 function createLineLogger(logFn, label) {
   let buffer = '';
@@ -71,14 +62,9 @@ async function respondToPermission(client, { sessionID, requestID, reply, messag
 }
 
 /**
- * Start OpenCode server for a session
+ * Spawn `opencode serve` for a session; the supervisor owns the process afterwards
  */
-export async function startOpenCodeServer(session) {
-  // Get available port
-  const port = await getPort();
-  
-  // Start server process
-  logInfo('starting OpenCode server', { port, workspace: session.workspacePath });
+function spawnOpenCodeServer(session, port) {
   const serverProcess = spawn('opencode', [
     'serve',
     '--hostname', '127.0.0.1',
@@ -91,102 +77,305 @@ export async function startOpenCodeServer(session) {
       ...process.env,
       XDG_DATA_HOME: session.dataDir,
       HOME: session.workspacePath,
-      OPENCODE_PERMISSION: JSON.stringify(getPermissionConfig(session))
+      OPENCODE_PERMISSION: JSON.stringify(permissionPolicy.getEffectiveConfig(session))
     },
     stdio: ['ignore', 'pipe', 'pipe']
   });
 
-  const stdoutLogger = createLineLogger(logInfo, 'server');
-  const stderrLogger = createLineLogger(logError, 'server');
+  // Server output goes to the session log as well
+  const serverLog = log.forSession(session, { source: 'server' });
+  const stdoutLogger = createLineLogger((line) => serverLog.info(line), 'server');
+  const stderrLogger = createLineLogger((line) => serverLog.error(line), 'server');
   serverProcess.stdout?.on('data', stdoutLogger);
   serverProcess.stderr?.on('data', stderrLogger);
-  serverProcess.on('exit', (code, signal) => {
-    logError('OpenCode server exited', { code, signal, port });
-  });
-  serverProcess.on('error', (error) => {
-    logError('OpenCode server spawn error', { error: error.message, port });
+
+  return serverProcess;
+}
+
+/**
+ * Answer a question the agent asked (`answers` holds the selected labels or
+ * custom text per question), or dismiss it when `answers` is null. SDK
+ * clients without the question API post to the server's routes directly.
+ */
+async function respondToQuestion(client, baseUrl, { requestID, answers }) {
+  if (client?.question?.reply) {
+    return answers
+      ? client.question.reply({ requestID, answers })
+      : client.question.reject({ requestID });
+  }
+
+  const route = answers ? 'reply' : 'reject';
+  const response = await fetch(`${baseUrl}/question/${encodeURIComponent(requestID)}/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(answers ? { answers } : {})
   });
+  if (!response.ok) {
+    throw new Error(`Question ${route} failed: HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Per-run output collected from the event stream
+ */
+function createRunState() {
+  return {
+    outputBuffer: [],
+    completedTextParts: new Set(),
+    textPartLengths: new Map(),
+    editedFiles: new Set(),
+    toolInputs: new Map(), // tool call id -> input, shown with the call's permission request
+    activity: createActivity(),
+    startTime: Date.now()
+  };
+}
+
+/**
+ * Feed OpenCode events through output collection, progress updates,
+ * permission prompts and questions. Shared by live runs and replays of
+ * recorded streams; `respond` sends a permission decision and `answer` a
+ * question's answers back (no-ops when replaying).
+ */
+async function consumeEvents(events, {
+  session,
+  opencodeSessionId,
+  log,
+  state,
+  onProgress,
+  onApproval,
+  respond,
+  onQuestion,
+  answer
+}) {
+  let eventCount = 0;
+  try {
+    log.info('starting event loop', { sessionId: opencodeSessionId });
+    for await (const event of events) {
+      eventCount++;
+      const sessionIdFromEvent =
+        event.properties?.sessionID ||
+        event.properties?.part?.sessionID ||
+        event.properties?.info?.id ||
+        event.properties?.info?.sessionID;
+
+      log.debug('event received', {
+        eventNumber: eventCount,
+        type: event.type,
+        sessionIdFromEvent,
+        targetSessionId: opencodeSessionId,
+        propertiesKeys: event.properties ? Object.keys(event.properties) : []
+      });
+
+      if (sessionIdFromEvent && sessionIdFromEvent !== opencodeSessionId) {
+        log.debug('skipping event for different session', { sessionIdFromEvent, opencodeSessionId });
+        continue;
+      }
 
-  session.serverProcess = serverProcess;
-  session.serverPort = port;
+      log.debug('processing event', { type: event.type, sessionId: sessionIdFromEvent });
 
-  // Wait for server to be ready
-  logInfo('waiting for OpenCode server to be ready', { port, timeout: 30000 });
-  await waitForServer(port);
+      if (event.type === 'message.part.updated') {
+        const part = event.properties?.part;
+        if (!part || part.sessionID !== opencodeSessionId) {
+          continue;
+        }
+
+        if (part.type === 'text') {
+          if (event.properties?.delta) {
+            state.outputBuffer.push(event.properties.delta);
+            const current = state.textPartLengths.get(part.id) || 0;
+            state.textPartLengths.set(part.id, current + event.properties.delta.length);
+          } else if (part.time?.end && !state.completedTextParts.has(part.id)) {
+            if (!state.textPartLengths.has(part.id)) {
+              state.outputBuffer.push(part.text || '');
+            }
+            state.completedTextParts.add(part.id);
+          }
+        } else if (part.type === 'tool' && part.callID && part.state?.input) {
+          state.toolInputs.set(part.callID, part.state.input);
+        }
+      }
 
-  logInfo('OpenCode server ready', { port });
+      // Text, tool calls, todos and steps all update the live progress view
+      const activityChanged = trackActivity(state.activity, event);
+      if (onProgress && (activityChanged || event.type === 'message.part.updated')) {
+        onProgress({
+          output: state.outputBuffer.join(''),
+          elapsed: Math.floor((Date.now() - state.startTime) / 1000),
+          activity: state.activity,
+          event
+        });
+      }
 
-  return port;
+      if (event.type === 'file.edited' && event.properties?.file) {
+        state.editedFiles.add(path.relative(session.workspacePath, path.resolve(session.workspacePath, event.properties.file)));
+      }
+
+      if (event.type === 'session.error') {
+        const errorMessage = event.properties?.error?.data?.message || event.properties?.error?.name || 'OpenCode session error';
+        log.error('session error event', {
+          sessionId: opencodeSessionId,
+          error: errorMessage,
+          fullError: JSON.stringify(event.properties?.error || {}).slice(0, 500)
+        });
+        throw new Error(errorMessage);
+      }
+
+      if (event.type === 'session.idle') {
+        log.info('session idle event received', {
+          eventSessionId: event.properties?.sessionID,
+          targetSessionId: opencodeSessionId,
+          isMatch: event.properties?.sessionID === opencodeSessionId,
+          outputBufferLength: state.outputBuffer.length
+        });
+        if (event.properties?.sessionID === opencodeSessionId) {
+          log.info('breaking event loop due to session.idle', { sessionId: opencodeSessionId });
+          break;
+        }
+      }
+
+      if (event.type === 'permission.asked' || event.type === 'permission.updated') {
+        if (!onApproval) {
+          continue;
+        }
+
+        const permission = event.properties;
+        const requestId = permission.id || permission.requestID || permission.permissionID;
+        if (!requestId) {
+          log.error('permission event missing id', { event });
+          continue;
+        }
+
+        const decision = await onApproval({
+          id: requestId,
+          tool: permission.permission || permission.type,
+          input: permission.metadata || {},
+          patterns: [permission.patterns ?? permission.pattern ?? []].flat(),
+          always: permission.always || [],
+          toolInput: state.toolInputs.get(permission.tool?.callID || permission.callID) || {}
+        });
+
+        const reply = decision.approved ? (decision.remember ? 'always' : 'once') : 'reject';
+        await respond({ requestId, reply, tool: permission.permission || permission.type, decision });
+      }
+
+      // The agent's question tool waits for answers, so an unhandled question is dismissed
+      if (event.type === 'question.asked') {
+        const { id: requestId, questions = [] } = event.properties;
+        const answers = onQuestion ? await onQuestion({ id: requestId, questions }) : null;
+        log.info('question answered', { requestId, questions: questions.length, dismissed: !answers });
+        await answer({ requestId, answers });
+      }
+    }
+
+    log.info('event stream completed', {
+      sessionId: opencodeSessionId,
+      totalEventsReceived: eventCount,
+      outputBufferItems: state.outputBuffer.length,
+      outputLength: state.outputBuffer.join('').length,
+      completedPartsCount: state.completedTextParts.size
+    });
+  } catch (error) {
+    log.error('event stream error', {
+      error: error.message,
+      stack: error.stack,
+      eventsProcessed: eventCount
+    });
+    throw error;
+  }
 }
 
 /**
  * Run OpenCode with a message
  */
-export async function runOpenCode({ session, message, onProgress, onApproval }) {
-  logInfo('runOpenCode called', {
-    sessionId: session.id,
-    chatId: session.chatId,
+export async function runOpenCode({ session, jobId, message, attachments = [], signal, onProgress, onApproval, onQuestion }) {
+  const jobLog = log.forSession(session, { jobId });
+  jobLog.info('runOpenCode called', {
     model: session.model,
-    hasServerPort: !!session.serverPort,
-    hasServerProcess: !!session.serverProcess,
-    messageLength: message.length
+    hasServer: !!serverSupervisor.getServer(session.id),
+    messageLength: message.length,
+    attachments: attachments.length
   });
 
-  // Ensure server is running
-  if (!session.serverPort || !session.serverProcess) {
-    logInfo('starting new OpenCode server for session', { sessionId: session.id });
-    await startOpenCodeServer(session);
-  } else {
-    logInfo('reusing existing OpenCode server', { port: session.serverPort });
+  // Starts (or restarts) the session's server if it isn't running
+  const port = await serverSupervisor.acquire(session, spawnOpenCodeServer);
+  try {
+    return await promptOpenCode({
+      session, jobId, port, log: jobLog, message, attachments, signal, onProgress, onApproval, onQuestion
+    });
+  } finally {
+    serverSupervisor.release(session.id);
   }
+}
 
-  const baseUrl = `http://127.0.0.1:${session.serverPort}`;
-  logInfo('creating OpenCode SDK client', { baseUrl });
+async function promptOpenCode({ session, jobId, port, log, message, attachments, signal, onProgress, onApproval, onQuestion }) {
+  const baseUrl = `http://127.0.0.1:${port}`;
+  log.info('creating OpenCode SDK client', { baseUrl });
   const client = createOpencodeClient({ baseUrl });
-  logInfo('SDK client created', { clientMethods: Object.keys(client || {}) });
+  log.info('SDK client created', { clientMethods: Object.keys(client || {}) });
 
-  // Get or create OpenCode session
+  // Get or create OpenCode session. After a restart the stored id continues the
+  // conversation, unless the server no longer knows it (e.g. its data dir is gone)
   let opencodeSessionId = session.opencodeSessionId;
+  if (opencodeSessionId) {
+    const existing = await client.session.get({ path: { id: opencodeSessionId } }).catch(() => null);
+    if (!existing?.data) {
+      log.error('stored OpenCode session not found, starting a new one', { sessionId: opencodeSessionId });
+      opencodeSessionId = null;
+    }
+  }
   if (!opencodeSessionId) {
-    logInfo('creating OpenCode session', { chatId: session.chatId });
+    log.info('creating OpenCode session', { chatId: session.chatId });
     try {
       const newSession = await client.session.create({
         body: { title: `Telegram session ${session.chatId}` }
       });
-      logInfo('session.create response', {
+      log.info('session.create response', {
         hasData: !!newSession?.data,
         dataKeys: newSession?.data ? Object.keys(newSession.data) : []
       });
       opencodeSessionId = newSession.data.id;
       session.opencodeSessionId = opencodeSessionId;
-      logInfo('OpenCode session created', { sessionId: opencodeSessionId });
+      await sessionManager.saveSession(session);
+      log.info('OpenCode session created', { sessionId: opencodeSessionId });
     } catch (createError) {
-      logError('failed to create OpenCode session', {
+      log.error('failed to create OpenCode session', {
         error: createError.message,
         stack: createError.stack
       });
       throw createError;
     }
   } else {
-    logInfo('reusing existing OpenCode session', { sessionId: opencodeSessionId });
+    log.info('reusing existing OpenCode session', { sessionId: opencodeSessionId });
   }
 
   // Parse model
   const [providerId, modelId] = session.model.split('/');
-  logInfo('running prompt', { sessionId: opencodeSessionId, model: session.model });
+  log.info('running prompt', { sessionId: opencodeSessionId, model: session.model });
+
+  if (signal?.aborted) {
+    throw new Error('Job cancelled');
+  }
 
-  // Subscribe to events
-  const events = await client.event.subscribe();
-  logInfo('event stream subscribed', { sessionId: opencodeSessionId });
-  logInfo('event stream details', {
+  // Subscribe to events (the stream is torn down when the job is cancelled)
+  const streamController = new AbortController();
+  const events = await client.event.subscribe({ signal: streamController.signal });
+  log.info('event stream subscribed', { sessionId: opencodeSessionId });
+  log.info('event stream details', {
     hasStream: !!events?.stream,
     eventsType: typeof events,
     eventsKeys: events ? Object.keys(events) : []
   });
-  const outputBuffer = [];
-  const completedTextParts = new Set();
-  const textPartLengths = new Map();
-  let startTime = Date.now();
+  const recorder = config.RECORD_EVENTS && jobId
+    ? await new EventRecorder(getRecordingPath(session, jobId), { maxBytes: config.EVENT_RECORDING_MAX_MB * 1024 * 1024 })
+      .open({ jobId, sessionId: session.id, opencodeSessionId, model: session.model })
+    : null;
+  const state = createRunState();
+
+  // Uploaded files are referenced by path; images are also sent to the model directly
+  const promptText = attachments.length > 0
+    ? `${message}\n\n${formatAttachmentContext(attachments)}`
+    : message;
+  const parts = [{ type: 'text', text: promptText }, ...(await buildImageParts(attachments))];
 
   // Send the prompt
   const promptPromise = client.session
@@ -194,186 +383,217 @@ export async function runOpenCode({ session, message, onProgress, onApproval })
       path: { id: opencodeSessionId },
       body: {
         model: { providerID: providerId, modelID: modelId },
-        parts: [{ type: 'text', text: message }]
+        parts
       }
     })
     .then((result) => {
-      logInfo('prompt accepted', { sessionId: opencodeSessionId });
+      log.info('prompt accepted', { sessionId: opencodeSessionId });
       return result;
     })
     .catch((error) => {
-      logError('prompt failed', { sessionId: opencodeSessionId, error: error.message });
+      log.error('prompt failed', { sessionId: opencodeSessionId, error: error.message });
       throw error;
     });
 
-  // Handle events concurrently
-  const eventPromise = (async () => {
-    try {
-      logInfo('starting event loop', { sessionId: opencodeSessionId });
-      let eventCount = 0;
-      for await (const event of events.stream) {
-        eventCount++;
-        const sessionIdFromEvent =
-          event.properties?.sessionID ||
-          event.properties?.part?.sessionID ||
-          event.properties?.info?.id ||
-          event.properties?.info?.sessionID;
-
-        logInfo('event received', {
-          eventNumber: eventCount,
-          type: event.type,
-          sessionIdFromEvent,
-          targetSessionId: opencodeSessionId,
-          propertiesKeys: event.properties ? Object.keys(event.properties) : []
-        });
-
-        if (sessionIdFromEvent && sessionIdFromEvent !== opencodeSessionId) {
-          logInfo('skipping event for different session', { sessionIdFromEvent, opencodeSessionId });
-          continue;
-        }
-
-        logInfo('processing event', { type: event.type, sessionId: sessionIdFromEvent });
-
-        if (event.type === 'message.part.updated') {
-          const part = event.properties?.part;
-          if (!part || part.sessionID !== opencodeSessionId) {
-            continue;
-          }
-
-          if (part.type === 'text') {
-            if (event.properties?.delta) {
-              outputBuffer.push(event.properties.delta);
-              const current = textPartLengths.get(part.id) || 0;
-              textPartLengths.set(part.id, current + event.properties.delta.length);
-            } else if (part.time?.end && !completedTextParts.has(part.id)) {
-              if (!textPartLengths.has(part.id)) {
-                outputBuffer.push(part.text || '');
-              }
-              completedTextParts.add(part.id);
-            }
-          }
-
-          if (onProgress) {
-            onProgress({
-              output: outputBuffer.join(''),
-              elapsed: Math.floor((Date.now() - startTime) / 1000),
-              event
-            });
-          }
-        }
-
-        if (event.type === 'session.error') {
-          const errorMessage = event.properties?.error?.data?.message || event.properties?.error?.name || 'OpenCode session error';
-          logError('session error event', {
-            sessionId: opencodeSessionId,
-            error: errorMessage,
-            fullError: JSON.stringify(event.properties?.error || {}).slice(0, 500)
-          });
-          throw new Error(errorMessage);
-        }
-
-        if (event.type === 'session.idle') {
-          logInfo('session idle event received', {
-            eventSessionId: event.properties?.sessionID,
-            targetSessionId: opencodeSessionId,
-            isMatch: event.properties?.sessionID === opencodeSessionId,
-            outputBufferLength: outputBuffer.length
-          });
-          if (event.properties?.sessionID === opencodeSessionId) {
-            logInfo('breaking event loop due to session.idle', { sessionId: opencodeSessionId });
-            break;
-          }
-        }
-
-        if (event.type === 'permission.asked' || event.type === 'permission.updated') {
-          if (!onApproval) {
-            continue;
-          }
-
-          const permission = event.properties;
-          const requestId = permission.id || permission.requestID || permission.permissionID;
-          if (!requestId) {
-            logError('permission event missing id', { event });
-            continue;
-          }
-
-          const decision = await onApproval({
-            id: requestId,
-            tool: permission.permission || permission.type,
-            input: permission.metadata || {}
-          });
-
-          const reply = decision.approved ? (decision.remember ? 'always' : 'once') : 'reject';
-
-          await respondToPermission(client, {
-            sessionID: opencodeSessionId,
-            requestID: requestId,
-            reply
-          });
-
-          if (decision.remember && decision.approved && (permission.permission || permission.type)) {
-            session.permissions[permission.permission || permission.type] = 'allow';
-          }
-        }
+  // Handle events concurrently, recording them for /replay
+  const eventPromise = consumeEvents(recorder ? recordEvents(events.stream, recorder) : events.stream, {
+    session,
+    opencodeSessionId,
+    log,
+    state,
+    onProgress,
+    onApproval,
+    respond: async ({ requestId, reply, tool, decision }) => {
+      permissionRequests.inc({ tool: tool || 'unknown', decision: reply });
+      await respondToPermission(client, {
+        sessionID: opencodeSessionId,
+        requestID: requestId,
+        reply
+      });
+      if (decision.approved && decision.pattern && tool) {
+        await permissionPolicy.addSessionRule(session, { tool, pattern: decision.pattern, action: 'allow' });
+      } else if (decision.remember && decision.approved && tool) {
+        await permissionPolicy.addSessionRule(session, { tool, action: 'allow' });
       }
+    },
+    onQuestion,
+    answer: ({ requestId, answers }) => respondToQuestion(client, baseUrl, { requestID: requestId, answers })
+  });
 
-      logInfo('event stream completed', {
-        sessionId: opencodeSessionId,
-        totalEventsReceived: eventCount,
-        outputBufferItems: outputBuffer.length,
-        outputLength: outputBuffer.join('').length,
-        completedPartsCount: completedTextParts.size
-      });
-    } catch (error) {
-      logError('event stream error', {
-        error: error.message,
-        stack: error.stack,
-        eventsProcessed: eventCount
-      });
-      throw error;
+  // Cancelling aborts the OpenCode session and stops the event loop
+  let removeAbortListener = () => {};
+  const cancelPromise = new Promise((_, reject) => {
+    if (!signal) {
+      return;
     }
-  })();
+    const onAbort = async () => {
+      log.info('job cancelled, aborting OpenCode session', { sessionId: opencodeSessionId });
+      promptPromise.catch(() => {});
+      eventPromise.catch(() => {});
+      streamController.abort();
+      try {
+        await client.session.abort({ path: { id: opencodeSessionId } });
+      } catch (error) {
+        log.error('session abort failed', { sessionId: opencodeSessionId, error: error.message });
+      }
+      reject(new Error('Job cancelled'));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+    // Cancelled while the stream and prompt were being set up: the event has fired already
+    if (signal.aborted) {
+      removeAbortListener();
+      onAbort();
+    }
+  });
 
   // Wait for both
-  logInfo('waiting for prompt and event stream to complete', { sessionId: opencodeSessionId });
-  const [result] = await Promise.all([promptPromise, eventPromise]);
+  log.info('waiting for prompt and event stream to complete', { sessionId: opencodeSessionId });
+  let result;
+  try {
+    [result] = await Promise.race([Promise.all([promptPromise, eventPromise]), cancelPromise]);
+  } finally {
+    removeAbortListener();
+    streamController.abort();
+    await recorder?.close();
+  }
 
   // FALLBACK: If event streaming didn't provide content, extract from prompt result
-  if (outputBuffer.length === 0 && result?.data?.parts) {
-    logInfo('event stream provided no content, using prompt result fallback', {
+  if (state.outputBuffer.length === 0 && result?.data?.parts) {
+    log.info('event stream provided no content, using prompt result fallback', {
       partsCount: result.data.parts.length,
       partTypes: result.data.parts.map(p => p.type)
     });
     for (const part of result.data.parts) {
       if (part.type === 'text' && part.text) {
-        outputBuffer.push(part.text);
+        state.outputBuffer.push(part.text);
       }
     }
   }
 
-  logInfo('runOpenCode completed', {
+  log.info('runOpenCode completed', {
     sessionId: opencodeSessionId,
-    outputLength: outputBuffer.join('').length,
-    duration: Math.floor((Date.now() - startTime) / 1000),
+    outputLength: state.outputBuffer.join('').length,
+    duration: Math.floor((Date.now() - state.startTime) / 1000),
     hasResult: !!result
   });
 
   // Sync auth back to persistent storage
   await syncAuthFromSession(session);
 
-  const finalOutput = outputBuffer.join('');
-  logInfo('returning from runOpenCode', {
+  const finalOutput = state.outputBuffer.join('');
+  log.info('returning from runOpenCode', {
     outputPreview: finalOutput.slice(0, 200),
     totalLength: finalOutput.length
   });
 
   return {
     output: finalOutput,
-    duration: Math.floor((Date.now() - startTime) / 1000),
+    duration: Math.floor((Date.now() - state.startTime) / 1000),
+    editedFiles: Array.from(state.editedFiles),
     result
   };
 }
 
+/**
+ * Feed a recorded event stream (see recorder.js) through the same output,
+ * progress and approval handling as a live run, without an OpenCode server.
+ * Approval decisions are collected but not sent anywhere.
+ */
+export async function replayOpenCode({ session, jobId, recording, speed = 0, signal, onProgress, onApproval, onQuestion }) {
+  const replayLog = log.forSession(session, { jobId, replayOf: recording.header.jobId });
+  replayLog.info('replaying event recording', {
+    events: recording.entries.length,
+    truncated: recording.truncated,
+    speed
+  });
+
+  const state = createRunState();
+  await consumeEvents(replayEvents(recording.entries, { speed, signal }), {
+    session,
+    opencodeSessionId: recording.header.opencodeSessionId,
+    log: replayLog,
+    state,
+    onProgress,
+    onApproval,
+    respond: async () => {},
+    onQuestion,
+    answer: async () => {}
+  });
+
+  if (signal?.aborted) {
+    throw new Error('Job cancelled');
+  }
+
+  return {
+    output: state.outputBuffer.join(''),
+    duration: Math.floor((Date.now() - state.startTime) / 1000),
+    editedFiles: Array.from(state.editedFiles),
+    truncated: recording.truncated
+  };
+}
+
+// Tools disabled for one-shot helper prompts that must not touch the workspace
+const NO_TOOLS = Object.fromEntries(
+  ['bash', 'edit', 'write', 'patch', 'read', 'glob', 'grep', 'list', 'webfetch', 'task', 'todowrite', 'todoread']
+    .map((tool) => [tool, false])
+);
+
+/**
+ * Ask the session's model for a commit message describing a diff.
+ * Runs in a throwaway OpenCode session so the conversation is untouched.
+ */
+export async function generateCommitMessage(session, diff, { timeout = 60000 } = {}) {
+  const port = await serverSupervisor.acquire(session, spawnOpenCodeServer);
+  const client = createOpencodeClient({ baseUrl: `http://127.0.0.1:${port}` });
+  let helperSessionId;
+  let timer;
+
+  try {
+    const created = await client.session.create({ body: { title: 'Commit message' } });
+    helperSessionId = created.data.id;
+    const [providerId, modelId] = session.model.split('/');
+
+    const prompt = [
+      'Write a git commit message for the following staged diff.',
+      'Use a concise imperative subject line (max 72 characters), optionally followed by a blank line and a short body.',
+      'Reply with the commit message only, no code fences or commentary.',
+      '',
+      diff.slice(0, 20000)
+    ].join('\n');
+
+    const result = await Promise.race([
+      client.session.prompt({
+        path: { id: helperSessionId },
+        body: {
+          model: { providerID: providerId, modelID: modelId },
+          tools: NO_TOOLS,
+          parts: [{ type: 'text', text: prompt }]
+        }
+      }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Commit message generation timed out')), timeout);
+      })
+    ]);
+
+    const text = (result?.data?.parts || [])
+      .filter((part) => part.type === 'text' && part.text)
+      .map((part) => part.text)
+      .join('')
+      .replace(/^```\w*\n?|```$/g, '')
+      .trim();
+
+    log.info('generated commit message', { sessionId: session.id, length: text.length });
+    return text || null;
+  } finally {
+    clearTimeout(timer);
+    if (helperSessionId) {
+      await client.session.delete({ path: { id: helperSessionId } }).catch(() => {});
+    }
+    serverSupervisor.release(session.id);
+  }
+}
+
 /**
  * List available models from OpenAI
  */
@@ -414,80 +634,6 @@ export async function listModels() {
   });
 }
 
-/**
- * Wait for OpenCode server to be ready
- */
-async function waitForServer(port, timeout = 30000) {
-  const start = Date.now();
-  
-  while (Date.now() - start < timeout) {
-    try {
-      const response = await fetch(`http://127.0.0.1:${port}/global/health`);
-      if (response.ok) {
-        return;
-      }
-    } catch (e) {
-      // Server not ready yet
-    }
-    await new Promise(r => setTimeout(r, 100));
-  }
-  
-  throw new Error('OpenCode server failed to start');
-}
-
-/**
- * Get permission configuration for session
- */
-function getPermissionConfig(session) {
-  // Base permissions
-  const permissions = {
-    '*': 'ask',
-    'bash': {
-      '*': 'ask',
-      'git *': 'allow',
-      'git status *': 'allow',
-      'git log *': 'allow',
-      'git diff *': 'allow',
-      'git add *': 'allow',
-      'git commit *': 'ask',
-      'git push *': 'deny',
-      'npm *': 'allow',
-      'pnpm *': 'allow',
-      'yarn *': 'allow',
-      'pip *': 'allow',
-      'pip3 *': 'allow',
-      'python *': 'allow',
-      'node *': 'allow',
-      'grep *': 'allow',
-      'cat *': 'allow',
-      'ls *': 'allow',
-      'find *': 'allow',
-      'rm *': 'deny',
-      'sudo *': 'deny',
-      'docker *': 'deny',
-      'kubectl *': 'deny',
-      'curl *': 'ask',
-      'wget *': 'ask'
-    },
-    'edit': {
-      '*': 'ask'
-    },
-    'external_directory': 'deny',
-    'doom_loop': 'ask'
-  };
-
-  // Merge with cached session permissions
-  for (const [tool, action] of Object.entries(session.permissions || {})) {
-    if (typeof permissions[tool] === 'object') {
-      permissions[tool]['*'] = action;
-    } else {
-      permissions[tool] = action;
-    }
-  }
-
-  return permissions;
-}
-
 /**
  * Sync auth from session back to persistent storage
  */
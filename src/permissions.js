@@ -0,0 +1,286 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { sessionManager } from './session.js';
+import { CREDENTIALS_DIR } from './credentials.js';
+import { createLogger } from './logger.js';
+
+const PERMISSIONS_FILE = path.join(config.DATA_DIR, 'permissions.json');
+
+const log = createLogger('permissions');
+
+export const PERMISSION_ACTIONS = ['allow', 'ask', 'deny'];
+export const DEFAULT_PROFILE = 'moderate';
+
+const TOOL_PATTERN = /^[\w-]+$/;
+
+// Stored git tokens stay out of the agent's reach whatever the profile or
+// session rules say
+const CREDENTIALS_RULES = ['read', 'edit', 'bash']
+  .map((tool) => ({ tool, pattern: `*${CREDENTIALS_DIR}*`, action: 'deny' }));
+
+/**
+ * Profiles shipped with the bot. They always come from here, so changes reach
+ * existing deployments; DATA_DIR/permissions.json only holds custom profiles
+ * (under other names) and user defaults.
+ */
+const BUILTIN_PROFILES = {
+  'read-only': {
+    description: 'Read and inspect only: no edits, no commands beyond read-only git and listing',
+    permission: {
+      '*': 'deny',
+      'read': 'allow',
+      'glob': 'allow',
+      'grep': 'allow',
+      'list': 'allow',
+      'bash': {
+        '*': 'deny',
+        'git status *': 'allow',
+        'git log *': 'allow',
+        'git diff *': 'allow',
+        'git show *': 'allow',
+        'ls *': 'allow',
+        'cat *': 'allow',
+        'grep *': 'allow',
+        'find *': 'allow'
+      },
+      'edit': 'deny',
+      'webfetch': 'ask',
+      'question': 'allow',
+      'external_directory': 'deny',
+      'doom_loop': 'deny'
+    }
+  },
+  'moderate': {
+    description: 'Common dev tools run freely, edits and other commands ask, destructive ones are denied',
+    permission: {
+      '*': 'ask',
+      'bash': {
+        '*': 'ask',
+        'git *': 'allow',
+        'git status *': 'allow',
+        'git log *': 'allow',
+        'git diff *': 'allow',
+        'git add *': 'allow',
+        'git commit *': 'ask',
+        'git push *': 'deny',
+        'npm *': 'allow',
+        'pnpm *': 'allow',
+        'yarn *': 'allow',
+        'pip *': 'allow',
+        'pip3 *': 'allow',
+        'python *': 'allow',
+        'node *': 'allow',
+        'grep *': 'allow',
+        'cat *': 'allow',
+        'ls *': 'allow',
+        'find *': 'allow',
+        'rm *': 'deny',
+        'sudo *': 'deny',
+        'docker *': 'deny',
+        'kubectl *': 'deny',
+        'curl *': 'ask',
+        'wget *': 'ask'
+      },
+      'edit': {
+        '*': 'ask'
+      },
+      'question': 'allow',
+      'external_directory': 'deny',
+      'doom_loop': 'ask'
+    }
+  },
+  'trusted': {
+    description: 'Edits and commands run without asking, except pushes and privileged commands',
+    permission: {
+      '*': 'allow',
+      'bash': {
+        '*': 'allow',
+        'git push *': 'ask',
+        'curl *': 'ask',
+        'wget *': 'ask',
+        'sudo *': 'deny',
+        'docker *': 'deny',
+        'kubectl *': 'deny'
+      },
+      'edit': 'allow',
+      'question': 'allow',
+      'external_directory': 'deny',
+      'doom_loop': 'ask'
+    }
+  }
+};
+
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map((segment) => segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  // A trailing " *" also matches the bare command (e.g. "git *" matches "git")
+  return new RegExp(`^${source.replace(/ \.\*$/, '( .*)?')}$`, 's');
+}
+
+/**
+ * Allow/ask/deny policy handed to `opencode serve` (OPENCODE_PERMISSION): a
+ * named profile, chosen per session or defaulting to the user's, plus the
+ * session's own pattern rules on top
+ */
+class PermissionPolicy {
+  constructor() {
+    this.profiles = structuredClone(BUILTIN_PROFILES);
+    this.userDefaults = {}; // userId -> profile name
+  }
+
+  async init() {
+    try {
+      const stored = JSON.parse(await fs.readFile(PERMISSIONS_FILE, 'utf8'));
+      // Older files were seeded with copies of the built-in profiles; drop them
+      const custom = Object.entries(stored.profiles || {})
+        .filter(([name]) => !Object.hasOwn(BUILTIN_PROFILES, name));
+      this.profiles = { ...structuredClone(BUILTIN_PROFILES), ...Object.fromEntries(custom) };
+      this.userDefaults = stored.userDefaults || {};
+    } catch {
+      // First start: nothing stored yet
+    }
+    await this.save();
+  }
+
+  async save() {
+    const custom = Object.entries(this.profiles)
+      .filter(([name]) => !Object.hasOwn(BUILTIN_PROFILES, name));
+    await fs.writeFile(PERMISSIONS_FILE, JSON.stringify({
+      profiles: Object.fromEntries(custom),
+      userDefaults: this.userDefaults
+    }, null, 2));
+  }
+
+  listProfiles() {
+    return Object.entries(this.profiles).map(([name, profile]) => ({ name, description: profile.description || '' }));
+  }
+
+  hasProfile(name) {
+    return Object.hasOwn(this.profiles, name);
+  }
+
+  getUserDefault(userId) {
+    const name = this.userDefaults[userId?.toString()];
+    return name && this.hasProfile(name) ? name : DEFAULT_PROFILE;
+  }
+
+  async setUserDefault(userId, name) {
+    this.assertProfile(name);
+    this.userDefaults[userId.toString()] = name;
+    await this.save();
+    log.info('user default profile set', { userId: userId.toString(), profile: name });
+  }
+
+  /**
+   * The session's profile and where it comes from. The bot only runs in
+   * private chats, so a session's chat id is its user's id.
+   */
+  getSessionProfile(session) {
+    if (session.permissionProfile && this.hasProfile(session.permissionProfile)) {
+      return { name: session.permissionProfile, source: 'session' };
+    }
+    return { name: this.getUserDefault(session.chatId), source: 'user default' };
+  }
+
+  async setSessionProfile(session, name) {
+    if (name !== null) {
+      this.assertProfile(name);
+    }
+    session.permissionProfile = name;
+    await sessionManager.saveSession(session);
+  }
+
+  /**
+   * Pattern rules added to the session, in the order they were added
+   */
+  getSessionRules(session) {
+    // "Approve all" used to store tool -> action on session.permissions
+    const legacy = Object.entries(session.permissions || {})
+      .map(([tool, action]) => ({ tool, pattern: '*', action }));
+    return [...legacy, ...(session.permissionRules || [])];
+  }
+
+  async addSessionRule(session, { tool, pattern = '*', action }) {
+    if (!TOOL_PATTERN.test(tool)) {
+      throw new Error(`Invalid tool name "${tool}"`);
+    }
+    if (!PERMISSION_ACTIONS.includes(action)) {
+      throw new Error(`Action must be one of ${PERMISSION_ACTIONS.join(', ')}`);
+    }
+    const rules = this.getSessionRules(session).filter((rule) => rule.tool !== tool || rule.pattern !== pattern);
+    session.permissionRules = [...rules, { tool, pattern, action }];
+    delete session.permissions;
+    await sessionManager.saveSession(session);
+    log.info('session rule added', { sessionId: session.id, tool, pattern, action });
+  }
+
+  async removeSessionRule(session, tool, pattern = '*') {
+    const rules = this.getSessionRules(session);
+    const remaining = rules.filter((rule) => rule.tool !== tool || rule.pattern !== pattern);
+    if (remaining.length === rules.length) {
+      return false;
+    }
+    session.permissionRules = remaining;
+    delete session.permissions;
+    await sessionManager.saveSession(session);
+    log.info('session rule removed', { sessionId: session.id, tool, pattern });
+    return true;
+  }
+
+  async resetSession(session) {
+    session.permissionProfile = null;
+    session.permissionRules = [];
+    delete session.permissions;
+    await sessionManager.saveSession(session);
+  }
+
+  /**
+   * The OPENCODE_PERMISSION config for the session's server
+   */
+  getEffectiveConfig(session) {
+    const permissions = structuredClone(this.profiles[this.getSessionProfile(session).name].permission);
+
+    for (const { tool, pattern, action } of [...this.getSessionRules(session), ...CREDENTIALS_RULES]) {
+      const current = permissions[tool];
+      if (typeof current === 'object') {
+        current[pattern] = action;
+      } else if (pattern === '*') {
+        permissions[tool] = action;
+      } else {
+        permissions[tool] = { '*': current ?? permissions['*'] ?? 'ask', [pattern]: action };
+      }
+    }
+
+    return permissions;
+  }
+
+  /**
+   * Evaluate a tool invocation against the session's policy.
+   * Like OpenCode, the most specific (longest) matching pattern wins.
+   */
+  evaluate(session, tool, input = '') {
+    const permissions = this.getEffectiveConfig(session);
+    const rule = permissions[tool] ?? permissions['*'];
+
+    if (typeof rule === 'string') {
+      return rule;
+    }
+
+    const matches = Object.keys(rule)
+      .filter((pattern) => wildcardToRegExp(pattern).test(input))
+      .sort((a, b) => a.length - b.length);
+
+    return rule[matches[matches.length - 1]] ?? permissions['*'] ?? 'ask';
+  }
+
+  assertProfile(name) {
+    if (!this.hasProfile(name)) {
+      throw new Error(`Unknown profile "${name}". Available: ${Object.keys(this.profiles).join(', ')}`);
+    }
+  }
+}
+
+export const permissionPolicy = new PermissionPolicy();
@@ -0,0 +1,234 @@
+/**
+ * Live job activity built from OpenCode events (tool calls, todos, steps and
+ * reasoning), rendered as the Telegram progress message
+ */
+
+import { escapeHtml, stripHtml } from './render.js';
+
+const MAX_TOOLS_SHOWN = 4;
+const MAX_TODOS_SHOWN = 10;
+const MAX_STEPS_SHOWN = 25;
+const MAX_TARGET_CHARS = 60;
+const OUTPUT_TAIL_LINES = 8;
+const OUTPUT_TAIL_CHARS = 1200;
+// Telegram allows 4096 visible characters per message
+const MAX_PROGRESS_CHARS = 3800;
+
+const TOOL_ICONS = { pending: '⏳', running: '⏳', completed: '✅', error: '❌' };
+const TODO_ICONS = { pending: '⬜', in_progress: '▶️', completed: '✅', cancelled: '✖️' };
+
+export function createActivity() {
+  return {
+    tools: new Map(), // part id -> { tool, target, status, start, end, error }
+    todos: [],
+    steps: [], // { kind: 'step' | 'tool' | 'reasoning', id, index }
+    reasoning: new Map(), // part id -> text
+    stepCount: 0
+  };
+}
+
+function truncate(text, max) {
+  const singleLine = String(text).replace(/\s+/g, ' ').trim();
+  return singleLine.length > max ? `${singleLine.slice(0, max - 1)}…` : singleLine;
+}
+
+/**
+ * What a tool call works on: the command, file, pattern or URL
+ */
+function getToolTarget(state) {
+  const input = state.input || {};
+  const target = input.command || input.filePath || input.path || input.pattern || input.url ||
+    input.description || state.title || '';
+  return truncate(target, MAX_TARGET_CHARS);
+}
+
+/**
+ * Update `activity` from one event. Returns true if the rendered view changes.
+ */
+export function trackActivity(activity, event) {
+  if (event.type === 'todo.updated') {
+    activity.todos = event.properties?.todos || [];
+    return true;
+  }
+
+  if (event.type !== 'message.part.updated') {
+    return false;
+  }
+
+  const part = event.properties?.part;
+  if (part?.type === 'tool' && part.state) {
+    if (!activity.tools.has(part.id)) {
+      activity.steps.push({ kind: 'tool', id: part.id });
+    }
+    activity.tools.set(part.id, {
+      tool: part.tool,
+      target: getToolTarget(part.state),
+      status: part.state.status,
+      start: part.state.time?.start,
+      end: part.state.time?.end,
+      error: part.state.error
+    });
+    return true;
+  }
+
+  if (part?.type === 'step-start') {
+    activity.stepCount += 1;
+    activity.steps.push({ kind: 'step', index: activity.stepCount });
+    return true;
+  }
+
+  if (part?.type === 'reasoning') {
+    if (!activity.reasoning.has(part.id)) {
+      activity.steps.push({ kind: 'reasoning', id: part.id });
+    }
+    const text = event.properties?.delta
+      ? (activity.reasoning.get(part.id) || '') + event.properties.delta
+      : part.text || activity.reasoning.get(part.id) || '';
+    activity.reasoning.set(part.id, text);
+    return true;
+  }
+
+  return false;
+}
+
+function formatSeconds(ms) {
+  return `${Math.max(0, ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+}
+
+function formatTool(tool, now) {
+  const duration = tool.start ? ` ${formatSeconds((tool.end || now) - tool.start)}` : '';
+  const error = tool.status === 'error' && tool.error ? ` — ${escapeHtml(truncate(tool.error, MAX_TARGET_CHARS))}` : '';
+  const target = tool.target ? ` <code>${escapeHtml(tool.target)}</code>` : '';
+  return `${TOOL_ICONS[tool.status] || '•'} ${escapeHtml(tool.tool)}${target}${duration}${error}`;
+}
+
+function formatStep(activity, step, now) {
+  if (step.kind === 'step') {
+    return `— step ${step.index} —`;
+  }
+  if (step.kind === 'reasoning') {
+    return `💭 ${escapeHtml(truncate(activity.reasoning.get(step.id) || '…', 100))}`;
+  }
+  return formatTool(activity.tools.get(step.id), now);
+}
+
+/**
+ * Progress message (Telegram HTML): todo list, running and recent tool calls,
+ * a collapsed steps log and the tail of the answer so far. Kept within
+ * MAX_PROGRESS_CHARS visible characters by dropping, in turn, the oldest
+ * steps, tool lines and the start of the output tail.
+ */
+export function renderProgress({ output = '', elapsed, activity }, { now = Date.now() } = {}) {
+  const fixed = [`🔄 <b>Running</b> • ${elapsed}s elapsed`];
+
+  if (activity?.todos.length) {
+    const todos = activity.todos.slice(0, MAX_TODOS_SHOWN)
+      .map((todo) => `${TODO_ICONS[todo.status] || '•'} ${escapeHtml(truncate(todo.content, 80))}`);
+    if (activity.todos.length > MAX_TODOS_SHOWN) {
+      todos.push(`… ${activity.todos.length - MAX_TODOS_SHOWN} more`);
+    }
+    fixed.push(`<b>Todo</b>\n${todos.join('\n')}`);
+  }
+
+  // Most recently finished tools, then the running ones
+  const tools = activity ? Array.from(activity.tools.values()) : [];
+  const running = tools.filter((tool) => tool.status === 'running' || tool.status === 'pending');
+  const finished = tools.filter((tool) => !running.includes(tool)).slice(-Math.max(1, MAX_TOOLS_SHOWN - running.length));
+  const toolLines = [...finished, ...running].map((tool) => formatTool(tool, now));
+
+  const stepLines = (activity?.steps || []).slice(-MAX_STEPS_SHOWN).map((step) => formatStep(activity, step, now));
+
+  let tail = output.split('\n').slice(-OUTPUT_TAIL_LINES).join('\n').slice(-OUTPUT_TAIL_CHARS).trim();
+
+  const render = () => {
+    const sections = [...fixed];
+    if (toolLines.length) {
+      sections.push(`<b>Tools</b> (${tools.length})\n${toolLines.join('\n')}`);
+    }
+    if (stepLines.length) {
+      const skipped = activity.steps.length - stepLines.length;
+      sections.push(`<b>Steps</b>\n<blockquote expandable>${skipped > 0 ? `… ${skipped} earlier\n` : ''}${stepLines.join('\n')}</blockquote>`);
+    }
+    if (tail) {
+      sections.push(`<pre>${escapeHtml(tail)}</pre>`);
+    }
+    return sections.join('\n\n');
+  };
+
+  let html = render();
+  while (stripHtml(html).length > MAX_PROGRESS_CHARS && (stepLines.length || toolLines.length)) {
+    (stepLines.length ? stepLines : toolLines).shift();
+    html = render();
+  }
+
+  const excess = stripHtml(html).length - MAX_PROGRESS_CHARS;
+  if (excess > 0 && tail) {
+    tail = tail.slice(excess).trim();
+    html = render();
+  }
+
+  return html;
+}
+
+/**
+ * Coalesce progress edits to at most one per `intervalMs`. Only the latest
+ * update is rendered and sent, and unchanged text is skipped. `pause(ms)`
+ * holds edits back, e.g. for a 429's retry_after.
+ */
+export function createThrottledUpdater({ render, send, intervalMs }) {
+  let lastSentAt = 0;
+  let lastText = null;
+  let pending = null;
+  let timer = null;
+  let inFlight = Promise.resolve();
+  let stopped = false;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(flush, Math.max(0, lastSentAt + intervalMs - Date.now()));
+  };
+
+  const flush = () => {
+    timer = null;
+    if (stopped || pending === null) {
+      return;
+    }
+    const text = render(pending);
+    pending = null;
+    if (text === lastText) {
+      return;
+    }
+    lastText = text;
+    lastSentAt = Date.now();
+    inFlight = inFlight.then(() => send(text)).catch(() => {});
+  };
+
+  return {
+    update(value) {
+      if (stopped) {
+        return;
+      }
+      pending = value;
+      if (!timer) {
+        schedule();
+      }
+    },
+
+    pause(ms) {
+      lastSentAt = Math.max(lastSentAt, Date.now() + ms - intervalMs);
+      if (timer) {
+        schedule();
+      }
+    },
+
+    /**
+     * Drop pending updates and wait for the one being sent
+     */
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      await inFlight;
+    }
+  };
+}
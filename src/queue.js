@@ -1,28 +1,94 @@
-import PQueue from 'p-queue';
+import { EventEmitter } from 'events';
 import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
 import { config } from '../config.js';
+import { jobsTotal, jobDuration } from './metrics.js';
+import { createLogger } from './logger.js';
 
-class JobQueue {
-  constructor() {
-    this.queue = new PQueue({ concurrency: config.MAX_CONCURRENT_JOBS });
+const JOBS_FILE = path.join(config.DATA_DIR, 'jobs.json');
+
+const log = createLogger('queue');
+
+// Job fields that only make sense within this process
+const RUNTIME_FIELDS = ['abortController'];
+
+/**
+ * Plain-data copy of a job, as persisted
+ */
+function serializeJob(job) {
+  const snapshot = { ...job };
+  for (const field of RUNTIME_FIELDS) {
+    delete snapshot[field];
+  }
+  return snapshot;
+}
+
+/**
+ * Find the next startable job, visiting users round-robin from `startIndex`.
+ * Only the oldest job of a chat may start, and only when the chat is idle.
+ * Returns the user's index and the job's index in that user's queue.
+ */
+function findNextJob(userOrder, queues, startIndex, busyChats) {
+  for (let visited = 0; visited < userOrder.length; visited++) {
+    const index = (startIndex + visited) % userOrder.length;
+    const seenChats = new Set();
+    const jobIndex = queues.get(userOrder[index]).findIndex((job) => {
+      const startable = !seenChats.has(job.chatId) && !busyChats.has(job.chatId);
+      seenChats.add(job.chatId);
+      return startable;
+    });
+
+    if (jobIndex !== -1) {
+      return { index, jobIndex };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Job scheduler.
+ * - Jobs of one chat run strictly one after another.
+ * - Free slots (MAX_CONCURRENT_JOBS) are handed out round-robin across users,
+ *   so one busy user can't starve everyone else.
+ *
+ * Emits 'position' (job) whenever a queued job's position changes.
+ * Jobs are persisted to `persistPath` so a restart can pick them up again.
+ */
+class JobQueue extends EventEmitter {
+  constructor({ concurrency = config.MAX_CONCURRENT_JOBS, persistPath = JOBS_FILE } = {}) {
+    super();
+    this.concurrency = concurrency;
+    this.persistPath = persistPath;
+    this.persistChain = Promise.resolve();
     this.jobs = new Map();
     this.runningJobs = new Map(); // chatId -> jobId
+    this.pending = new Map(); // userId -> queued jobs (FIFO)
+    this.userOrder = []; // round-robin order of users with queued jobs
+    this.nextUserIndex = 0;
+    this.executors = new Map(); // jobId -> executor
+    this.idleWaiters = [];
+    this.paused = false;
   }
 
-  async add(chatId, userId, message, executor) {
+  /**
+   * Queue a job. `data` must be JSON-serializable; it is persisted with the job
+   * so the executor can be rebuilt after a restart.
+   */
+  async add(chatId, userId, message, executor, { sessionId = null, data = {} } = {}) {
     const jobId = randomUUID().slice(0, 8);
-    
-    // Check if session already has a running job
-    if (this.runningJobs.has(chatId.toString())) {
-      // Queue it anyway, PQueue will handle concurrency
-    }
 
     const job = {
       id: jobId,
       chatId: chatId.toString(),
+      sessionId,
       userId,
       message,
+      data,
       status: 'queued',
+      position: null,
+      abortController: new AbortController(),
       createdAt: Date.now(),
       startedAt: null,
       endedAt: null,
@@ -30,75 +96,358 @@ class JobQueue {
     };
 
     this.jobs.set(jobId, job);
+    this.enqueue(job, executor);
+    this.schedule();
 
-    // Add to queue
-    const queuePromise = this.queue.add(async () => {
-      job.status = 'running';
-      job.startedAt = Date.now();
-      this.runningJobs.set(chatId.toString(), jobId);
+    return jobId;
+  }
 
-      try {
-        const result = await executor((progressData) => {
-          // Progress callback
-        });
+  enqueue(job, executor) {
+    const userKey = job.userId.toString();
+    this.executors.set(job.id, executor);
 
-        job.status = 'completed';
-        job.endedAt = Date.now();
-        return result;
-      } catch (error) {
-        job.status = 'failed';
-        job.error = error.message;
-        job.endedAt = Date.now();
-        throw error;
-      } finally {
-        this.runningJobs.delete(chatId.toString());
+    if (!this.pending.has(userKey)) {
+      this.pending.set(userKey, []);
+      this.userOrder.push(userKey);
+    }
+    this.pending.get(userKey).push(job);
+  }
+
+  /**
+   * Start as many queued jobs as there are free slots
+   */
+  schedule() {
+    while (!this.paused && this.runningJobs.size < this.concurrency) {
+      const job = this.takeNextJob();
+      if (!job) {
+        break;
       }
-    });
+      this.start(job);
+    }
 
-    return jobId;
+    this.updatePositions();
+    this.persist();
+    this.checkIdle();
   }
 
-  getPosition(jobId) {
-    // Get queue position (approximate since PQueue doesn't expose this directly)
-    let position = 0;
-    for (const [id, job] of this.jobs) {
-      if (job.status === 'queued' && id !== jobId) {
-        position++;
-      } else if (id === jobId) {
-        break;
+  /**
+   * Pick the next startable job, visiting users round-robin
+   */
+  takeNextJob() {
+    const next = findNextJob(this.userOrder, this.pending, this.nextUserIndex, this.runningJobs);
+    if (!next) {
+      return null;
+    }
+
+    const { index, jobIndex } = next;
+    const queue = this.pending.get(this.userOrder[index]);
+    const [job] = queue.splice(jobIndex, 1);
+    if (queue.length === 0) {
+      this.removeUser(index);
+      this.nextUserIndex = this.userOrder.length ? index % this.userOrder.length : 0;
+    } else {
+      this.nextUserIndex = (index + 1) % this.userOrder.length;
+    }
+    return job;
+  }
+
+  removeUser(index) {
+    const [userKey] = this.userOrder.splice(index, 1);
+    this.pending.delete(userKey);
+  }
+
+  start(job) {
+    const executor = this.executors.get(job.id);
+    this.executors.delete(job.id);
+
+    job.status = 'running';
+    job.position = null;
+    job.startedAt = Date.now();
+    this.runningJobs.set(job.chatId, job.id);
+
+    // Defer to the next turn so add() has returned the job id before the executor runs
+    new Promise((resolve) => setImmediate(resolve))
+      .then(() => {
+        // Cancelled before the executor got to run
+        if (job.abortController.signal.aborted) {
+          return;
+        }
+        return executor({ signal: job.abortController.signal, job });
+      })
+      .then(() => {
+        if (job.status === 'running') {
+          job.status = 'completed';
+        }
+      })
+      .catch((error) => {
+        if (job.status === 'running') {
+          job.status = 'failed';
+          job.error = error.message;
+        }
+      })
+      .finally(() => {
+        job.endedAt = Date.now();
+        jobsTotal.inc({ status: job.status });
+        jobDuration.observe({ status: job.status }, (job.endedAt - job.startedAt) / 1000);
+        this.runningJobs.delete(job.chatId);
+        this.schedule();
+      });
+  }
+
+  /**
+   * Queued jobs in the order they are expected to start. Replays takeNextJob:
+   * chats with a running (or earlier predicted) job are passed over until
+   * nothing else can start, then those jobs are assumed to have finished.
+   */
+  getQueueOrder() {
+    const userOrder = [...this.userOrder];
+    const queues = new Map(userOrder.map((userKey) => [userKey, [...this.pending.get(userKey)]]));
+    const busyChats = new Set(this.runningJobs.keys());
+    const order = [];
+    let nextIndex = this.nextUserIndex;
+
+    while (userOrder.length > 0) {
+      const next = findNextJob(userOrder, queues, nextIndex, busyChats);
+      if (!next) {
+        busyChats.clear();
+        continue;
+      }
+
+      const queue = queues.get(userOrder[next.index]);
+      const [job] = queue.splice(next.jobIndex, 1);
+      order.push(job);
+      busyChats.add(job.chatId);
+
+      if (queue.length === 0) {
+        userOrder.splice(next.index, 1);
+        nextIndex = userOrder.length ? next.index % userOrder.length : 0;
+      } else {
+        nextIndex = (next.index + 1) % userOrder.length;
       }
     }
-    return position;
+
+    return order;
+  }
+
+  updatePositions() {
+    this.getQueueOrder().forEach((job, index) => {
+      if (job.position !== index + 1) {
+        job.position = index + 1;
+        this.emit('position', job);
+      }
+    });
+  }
+
+  /**
+   * 1-based position among queued jobs, 0 if the job isn't queued
+   */
+  getPosition(jobId) {
+    const job = this.jobs.get(jobId);
+    return job?.status === 'queued' ? job.position : 0;
   }
 
   getJob(jobId) {
     return this.jobs.get(jobId);
   }
 
+  /**
+   * Cancel the chat's running job and everything it has queued.
+   * Returns the cancelled jobs.
+   */
   async cancelSessionJobs(chatId) {
     const chatIdStr = chatId.toString();
-    const runningJobId = this.runningJobs.get(chatIdStr);
-    
-    if (runningJobId) {
-      const job = this.jobs.get(runningJobId);
-      if (job && job.abortController) {
-        job.abortController.abort();
-        return 1;
+    const cancelled = [];
+
+    for (const job of this.jobs.values()) {
+      if (job.chatId === chatIdStr && (job.status === 'running' || job.status === 'queued')) {
+        cancelled.push(this.markCancelled(job));
       }
     }
-    
-    // Cancel queued jobs for this session
-    let cancelled = 0;
-    for (const [id, job] of this.jobs) {
-      if (job.chatId === chatIdStr && job.status === 'queued') {
-        job.status = 'cancelled';
-        cancelled++;
-      }
+
+    this.updatePositions();
+    this.persist();
+    this.checkIdle();
+    return cancelled;
+  }
+
+  /**
+   * Cancel a single running or queued job. Returns the cancelled job, or null.
+   */
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || (job.status !== 'running' && job.status !== 'queued')) {
+      return null;
     }
-    
+
+    const cancelled = this.markCancelled(job);
+    this.updatePositions();
+    this.persist();
+    this.checkIdle();
     return cancelled;
   }
 
+  markCancelled(job) {
+    const wasRunning = job.status === 'running';
+    job.status = 'cancelled';
+    if (wasRunning) {
+      job.abortController.abort();
+    } else {
+      this.removeQueued(job);
+      job.endedAt = Date.now();
+      jobsTotal.inc({ status: job.status });
+    }
+    return { ...job, wasRunning };
+  }
+
+  removeQueued(job) {
+    const userKey = job.userId.toString();
+    const queue = this.pending.get(userKey);
+    if (!queue) {
+      return;
+    }
+
+    const index = queue.indexOf(job);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    this.executors.delete(job.id);
+
+    if (queue.length === 0) {
+      const userIndex = this.userOrder.indexOf(userKey);
+      this.removeUser(userIndex);
+      if (userIndex < this.nextUserIndex) {
+        this.nextUserIndex -= 1;
+      }
+      if (this.nextUserIndex >= this.userOrder.length) {
+        this.nextUserIndex = 0;
+      }
+    }
+  }
+
+  /**
+   * Stop starting queued jobs (running ones carry on)
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Wait until no job is running, or the timeout passes.
+   * Resolves true if everything finished in time.
+   */
+  async waitForRunning(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.runningJobs.size > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+    return this.runningJobs.size === 0;
+  }
+
+  /**
+   * Abort all running jobs, marking them interrupted rather than cancelled so
+   * they can be retried. Returns the interrupted jobs.
+   */
+  interruptRunning(reason) {
+    const interrupted = [];
+    for (const jobId of this.runningJobs.values()) {
+      const job = this.jobs.get(jobId);
+      job.status = 'interrupted';
+      job.error = reason;
+      job.endedAt = Date.now();
+      job.abortController.abort();
+      interrupted.push(job);
+    }
+    return interrupted;
+  }
+
+  getQueuedCount() {
+    let count = 0;
+    for (const queue of this.pending.values()) {
+      count += queue.length;
+    }
+    return count;
+  }
+
+  /**
+   * Resolves once nothing is running or queued
+   */
+  onIdle() {
+    if (this.runningJobs.size === 0 && this.getQueuedCount() === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  checkIdle() {
+    if (this.runningJobs.size === 0 && this.getQueuedCount() === 0) {
+      const waiters = this.idleWaiters.splice(0);
+      waiters.forEach((resolve) => resolve());
+    }
+  }
+
+  /**
+   * Write all known jobs to disk. Writes are serialized so the newest state wins.
+   */
+  persist() {
+    if (!this.persistPath) {
+      return this.persistChain;
+    }
+
+    const content = JSON.stringify(this.getAllJobs().map(serializeJob), null, 2);
+
+    this.persistChain = this.persistChain
+      .then(async () => {
+        const tmpPath = `${this.persistPath}.tmp`;
+        await fs.mkdir(path.dirname(this.persistPath), { recursive: true });
+        await fs.writeFile(tmpPath, content);
+        await fs.rename(tmpPath, this.persistPath);
+      })
+      .catch((error) => {
+        log.error('failed to persist jobs', { error: error.message });
+      });
+
+    return this.persistChain;
+  }
+
+  /**
+   * Load persisted jobs after a restart. Queued jobs are queued again with the
+   * executor returned by `getExecutor(job)`; jobs that were running are marked
+   * interrupted and returned so the caller can tell their chats.
+   */
+  async restore(getExecutor) {
+    let saved = [];
+    try {
+      saved = JSON.parse(await fs.readFile(this.persistPath, 'utf8'));
+    } catch {
+      return { requeued: [], interrupted: [] };
+    }
+
+    const requeued = [];
+    const interrupted = [];
+
+    for (const data of saved) {
+      const job = { ...data, abortController: new AbortController() };
+      this.jobs.set(job.id, job);
+
+      if (job.status === 'queued') {
+        job.position = null;
+        this.enqueue(job, getExecutor(job));
+        requeued.push(job);
+      } else if (job.status === 'running') {
+        job.status = 'interrupted';
+        job.endedAt = Date.now();
+        job.error = 'Interrupted by a restart';
+        interrupted.push(job);
+      }
+    }
+
+    log.info('restored jobs', { requeued: requeued.length, interrupted: interrupted.length });
+    this.schedule();
+    await this.persistChain;
+
+    return { requeued, interrupted };
+  }
+
   getAllJobs() {
     return Array.from(this.jobs.values());
   }
@@ -112,7 +461,9 @@ class JobQueue {
         this.jobs.delete(id);
       }
     }
+    this.persist();
   }
 }
 
+export { JobQueue };
 export const jobQueue = new JobQueue();
@@ -0,0 +1,130 @@
+import { createWriteStream, promises as fs } from 'fs';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { createLogger } from './logger.js';
+
+const log = createLogger('recorder');
+
+const RECORDING_VERSION = 1;
+const MAX_REPLAY_DELAY_MS = 2000;
+// Room kept under the size cap for the final `truncated` line
+const TRUNCATION_LINE_BYTES = 64;
+
+export function getRecordingPath(session, jobId) {
+  return path.join(session.logsDir, 'events', `${jobId}.jsonl`);
+}
+
+/**
+ * Writes the OpenCode events of one job to a JSONL file: a header line, then
+ * one `{ t, event }` line per event (`t` = ms since the recording started).
+ * Stops recording, with a final `{ t, truncated: true }` line, before the file
+ * would grow past `maxBytes` (0 = no cap).
+ */
+export class EventRecorder {
+  constructor(filePath, { maxBytes = 0 } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.truncated = false;
+    this.startedAt = Date.now();
+    this.stream = null;
+  }
+
+  async open(header) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.stream = createWriteStream(this.filePath);
+    this.stream.on('error', (error) => {
+      log.error('event recording failed', { filePath: this.filePath, error: error.message });
+      this.truncated = true;
+    });
+    this.writeLine({ type: 'recording', version: RECORDING_VERSION, startedAt: this.startedAt, ...header });
+    return this;
+  }
+
+  writeLine(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    this.bytes += Buffer.byteLength(line);
+    this.stream.write(line);
+  }
+
+  record(event) {
+    if (!this.stream || this.truncated) {
+      return;
+    }
+    const entry = { t: Date.now() - this.startedAt, event };
+    const entryBytes = Buffer.byteLength(JSON.stringify(entry)) + 1;
+    if (this.maxBytes > 0 && this.bytes + entryBytes + TRUNCATION_LINE_BYTES > this.maxBytes) {
+      this.truncated = true;
+      this.writeLine({ t: entry.t, truncated: true });
+      log.info('event recording reached its size cap', { filePath: this.filePath, bytes: this.bytes });
+      return;
+    }
+    this.writeLine(entry);
+  }
+
+  close() {
+    if (!this.stream) {
+      return Promise.resolve();
+    }
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve) => stream.end(resolve));
+  }
+}
+
+/**
+ * Pass a live event stream through, recording every event on the way
+ */
+export async function* recordEvents(stream, recorder) {
+  for await (const event of stream) {
+    recorder.record(event);
+    yield event;
+  }
+}
+
+/**
+ * Load a recording written by EventRecorder. A last line cut short (the bot
+ * stopped mid-write) is dropped and the recording marked truncated.
+ */
+export async function readRecording(filePath) {
+  const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+  const parsed = [];
+  let torn = false;
+  for (const [index, line] of lines.entries()) {
+    try {
+      parsed.push(JSON.parse(line));
+    } catch (error) {
+      if (index < lines.length - 1) {
+        throw error;
+      }
+      torn = true;
+    }
+  }
+  const [header, ...entries] = parsed;
+  if (header?.type !== 'recording') {
+    throw new Error(`${path.basename(filePath)} is not an event recording`);
+  }
+  return {
+    header,
+    entries: entries.filter((entry) => entry.event),
+    truncated: torn || entries.some((entry) => entry.truncated)
+  };
+}
+
+/**
+ * Yield recorded events again. With `speed` > 0 the original gaps between
+ * events are kept (divided by `speed`, at most 2s each); 0 replays at once.
+ */
+export async function* replayEvents(entries, { speed = 0, signal } = {}) {
+  let previous = 0;
+  for (const { t, event } of entries) {
+    if (signal?.aborted) {
+      return;
+    }
+    if (speed > 0 && t > previous) {
+      await sleep(Math.min((t - previous) / speed, MAX_REPLAY_DELAY_MS), undefined, { signal }).catch(() => {});
+    }
+    previous = t;
+    yield event;
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * Renders the model's Markdown as Telegram HTML, split into messages that fit
+ * the Bot API limit. Large code blocks are returned as documents instead.
+ */
+
+// Rendered messages stay under the 4096 character limit with room for a header
+const MESSAGE_LIMIT = 3800;
+// Longer lines are wrapped so any single line fits a message once escaped
+const MAX_LINE_CHARS = 500;
+const DOCUMENT_CODE_CHARS = 3000;
+const DOCUMENT_CODE_LINES = 80;
+
+const LANGUAGE_EXTENSIONS = {
+  bash: 'sh',
+  c: 'c',
+  cpp: 'cpp',
+  css: 'css',
+  diff: 'diff',
+  go: 'go',
+  html: 'html',
+  java: 'java',
+  javascript: 'js',
+  js: 'js',
+  json: 'json',
+  jsx: 'jsx',
+  markdown: 'md',
+  md: 'md',
+  py: 'py',
+  python: 'py',
+  rb: 'rb',
+  ruby: 'rb',
+  rust: 'rs',
+  sh: 'sh',
+  shell: 'sh',
+  sql: 'sql',
+  ts: 'ts',
+  tsx: 'tsx',
+  typescript: 'ts',
+  yaml: 'yml',
+  yml: 'yml'
+};
+
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+/**
+ * Plain-text version of rendered HTML, for when Telegram rejects the markup
+ */
+export function stripHtml(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Whether every tag is closed in order (Telegram rejects anything else)
+ */
+function isBalanced(html) {
+  const stack = [];
+  for (const [, closing, name] of html.matchAll(/<(\/?)(\w+)[^>]*>/g)) {
+    if (!closing) {
+      stack.push(name);
+    } else if (stack.pop() !== name) {
+      return false;
+    }
+  }
+  return stack.length === 0;
+}
+
+function renderEmphasis(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(?=\S)(.*?\S)\*\*/g, '<b>$1</b>')
+    .replace(/(^|\W)__(?=\S)(.*?\S)__(?!\w)/g, '$1<b>$2</b>')
+    .replace(/~~(?=\S)(.*?\S)~~/g, '<s>$1</s>')
+    .replace(/(^|[^\w*])\*(?=[^\s*])([^*]*?[^\s*])\*(?![\w*])/g, '$1<i>$2</i>')
+    // snake_case identifiers are left alone
+    .replace(/(^|\W)_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<i>$2</i>');
+}
+
+function renderInlineMarkup(text) {
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(/`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g)) {
+    html += renderEmphasis(text.slice(last, match.index));
+    html += match[1] !== undefined
+      ? `<code>${escapeHtml(match[1])}</code>`
+      : `<a href="${escapeAttribute(match[3])}">${renderEmphasis(match[2])}</a>`;
+    last = match.index + match[0].length;
+  }
+  return html + renderEmphasis(text.slice(last));
+}
+
+/**
+ * Render one line; Markdown the converter can't nest properly is shown as-is
+ */
+function renderInline(text) {
+  const html = renderInlineMarkup(text);
+  return isBalanced(html) ? html : escapeHtml(text);
+}
+
+function renderText(text) {
+  const lines = [];
+  let quote = [];
+  const flushQuote = () => {
+    if (quote.length > 0) {
+      lines.push(`<blockquote>${quote.join('\n')}</blockquote>`);
+      quote = [];
+    }
+  };
+
+  for (const line of text.split('\n')) {
+    const quoted = /^\s*>\s?(.*)$/.exec(line);
+    if (quoted) {
+      quote.push(renderInline(quoted[1]));
+      continue;
+    }
+    flushQuote();
+
+    const heading = /^\s*#{1,6}\s+(.*?)\s*#*$/.exec(line);
+    const bullet = /^(\s*)[-*+]\s+(.*)$/.exec(line);
+    if (heading) {
+      lines.push(`<b>${renderInline(heading[1])}</b>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      lines.push('──────────');
+    } else if (bullet) {
+      lines.push(`${bullet[1]}• ${renderInline(bullet[2])}`);
+    } else {
+      lines.push(renderInline(line));
+    }
+  }
+  flushQuote();
+  return lines.join('\n');
+}
+
+function getLanguage(info) {
+  const [token = ''] = info.split(/[\s:]/);
+  if (/[./]/.test(token)) {
+    return token.split('.').pop().toLowerCase();
+  }
+  return token.toLowerCase();
+}
+
+function renderCode(block, code = block.code) {
+  const language = getLanguage(block.info);
+  return /^[\w+-]+$/.test(language)
+    ? `<pre><code class="language-${language}">${escapeHtml(code)}</code></pre>`
+    : `<pre>${escapeHtml(code)}</pre>`;
+}
+
+/**
+ * File name for a code block: taken from its info string when it names one
+ * ("```js title=app.js", "```python:src/main.py", "```src/main.py"), otherwise
+ * snippet-<n>.<extension>
+ */
+function getCodeFilename(info, index) {
+  const named = /title="?([^"\s]+)"?/.exec(info)?.[1] ||
+    /^[\w+-]*:(\S+)/.exec(info)?.[1] ||
+    /^(\S*[./]\S*)/.exec(info)?.[1];
+  if (named) {
+    return named.split('/').pop();
+  }
+  const language = getLanguage(info);
+  return `snippet-${index}.${LANGUAGE_EXTENSIONS[language] || 'txt'}`;
+}
+
+/**
+ * Split Markdown into fenced code blocks and paragraphs. An unclosed fence
+ * (e.g. in a partial answer) runs to the end.
+ */
+export function parseBlocks(markdown) {
+  const blocks = [];
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  let paragraph = [];
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'text', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const fence = /^\s*(`{3,}|~{3,})\s*(.*)$/.exec(lines[i]);
+    if (fence) {
+      flushParagraph();
+      const [, marker, info] = fence;
+      const code = [];
+      for (i++; i < lines.length; i++) {
+        const trimmed = lines[i].trim();
+        if (trimmed.startsWith(marker) && /^(`+|~+)$/.test(trimmed)) {
+          break;
+        }
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'code', info: info.trim(), code: code.join('\n') });
+    } else if (!lines[i].trim()) {
+      flushParagraph();
+    } else {
+      paragraph.push(lines[i]);
+    }
+  }
+  flushParagraph();
+  return blocks;
+}
+
+function wrapLongLines(lines) {
+  return lines.flatMap((line) => {
+    if (line.length <= MAX_LINE_CHARS) {
+      return [line];
+    }
+    const parts = [];
+    for (let start = 0; start < line.length; start += MAX_LINE_CHARS) {
+      parts.push(line.slice(start, start + MAX_LINE_CHARS));
+    }
+    return parts;
+  });
+}
+
+/**
+ * Render as many lines per chunk as fit `limit`
+ */
+function splitLines(lines, render, limit) {
+  const chunks = [];
+  let current = [];
+  for (const line of wrapLongLines(lines)) {
+    if (current.length > 0 && render([...current, line]).length > limit) {
+      chunks.push(render(current));
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.length > 0) {
+    chunks.push(render(current));
+  }
+  return chunks;
+}
+
+/**
+ * Convert Markdown to Telegram HTML (parse_mode: 'HTML')
+ */
+export function markdownToHtml(markdown) {
+  return parseBlocks(markdown)
+    .map((block) => (block.type === 'code' ? renderCode(block) : renderText(block.text)))
+    .join('\n\n');
+}
+
+/**
+ * Render an agent reply as HTML messages of at most `limit` characters, split
+ * along code fence and paragraph boundaries. Code blocks longer than 80 lines
+ * or 3000 characters are returned as `documents` and referenced in the text.
+ */
+export function renderReply(markdown, { limit = MESSAGE_LIMIT } = {}) {
+  const pieces = [];
+  const documents = [];
+
+  for (const block of parseBlocks(markdown)) {
+    if (block.type === 'text') {
+      pieces.push(...splitLines(block.text.split('\n'), (lines) => renderText(lines.join('\n')), limit));
+      continue;
+    }
+
+    const lineCount = block.code.split('\n').length;
+    if (block.code.length > DOCUMENT_CODE_CHARS || lineCount > DOCUMENT_CODE_LINES) {
+      const filename = getCodeFilename(block.info, documents.length + 1);
+      documents.push({ filename, content: `${block.code}\n` });
+      pieces.push(`📎 <i>${escapeHtml(filename)}</i> (${lineCount} lines, sent as a file)`);
+      continue;
+    }
+    pieces.push(...splitLines(block.code.split('\n'), (lines) => renderCode(block, lines.join('\n')), limit));
+  }
+
+  const messages = [];
+  for (const piece of pieces) {
+    const last = messages.length - 1;
+    if (last >= 0 && messages[last].length + piece.length + 2 <= limit) {
+      messages[last] += `\n\n${piece}`;
+    } else {
+      messages.push(piece);
+    }
+  }
+  return { messages, documents };
+}
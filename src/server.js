@@ -1,16 +1,19 @@
 import Fastify from 'fastify';
 import { config } from '../config.js';
-import { setupTelegramWebhook, handleTelegramUpdate } from './telegram.js';
-import { startCleanupWorker } from './cleanup.js';
+import { setupTelegramWebhook, handleTelegramUpdate, restoreJobs, notifyJobsInterrupted } from './telegram.js';
+import { startCleanupWorker, stopCleanupWorker } from './cleanup.js';
 import { sessionManager } from './session.js';
+import { serverSupervisor } from './supervisor.js';
+import { jobQueue } from './queue.js';
+import { stopAllLogins } from './login.js';
+import { userAccess } from './users.js';
+import { permissionPolicy } from './permissions.js';
+import { adminApi } from './api.js';
+import { metrics } from './metrics.js';
+import { rootLogger } from './logger.js';
 
 const fastify = Fastify({
-  logger: {
-    level: config.LOG_LEVEL || 'info',
-    transport: process.env.NODE_ENV !== 'production' 
-      ? { target: 'pino-pretty' }
-      : undefined
-  }
+  loggerInstance: rootLogger.child({ module: 'http' })
 });
 
 // Health check endpoint
@@ -18,6 +21,24 @@ fastify.get('/health', async () => {
   return { status: 'ok', version: '1.0.0' };
 });
 
+// Live state, read on every scrape
+metrics.gauge('jobs_queued', 'Jobs waiting in the queue', () => jobQueue.getQueuedCount());
+metrics.gauge('jobs_running', 'Jobs currently running', () => jobQueue.runningJobs.size);
+metrics.gauge('sessions_active', 'Live sessions', () => sessionManager.getAllSessions().length);
+metrics.gauge('opencode_servers', 'Running opencode serve processes', () => serverSupervisor.countRunning());
+
+// Prometheus metrics
+fastify.get('/metrics', async (request, reply) => {
+  return reply.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Admin API for internal tooling, only when a token is configured
+if (config.ADMIN_API_TOKEN) {
+  fastify.register(adminApi, { prefix: '/api' });
+}
+
+let shuttingDown = false;
+
 // Telegram webhook endpoint
 fastify.post('/webhook', async (request, reply) => {
   const secretToken = request.headers['x-telegram-bot-api-secret-token'];
@@ -28,6 +49,13 @@ fastify.post('/webhook', async (request, reply) => {
   }
   
   const update = request.body;
+
+  // Telegram redelivers updates we refuse, so the next instance picks them up.
+  // Button presses still go through: draining jobs may be waiting on them.
+  if (shuttingDown && !update?.callback_query) {
+    return reply.status(503).send({ error: 'Shutting down' });
+  }
+  
   fastify.log.debug({ update }, 'Received Telegram update');
   
   void handleTelegramUpdate(update).catch((error) => {
@@ -47,9 +75,21 @@ async function start() {
     // Initialize session manager
     await sessionManager.init();
     
+    // Load allowed-user changes made through the admin API
+    await userAccess.init();
+    
+    // Load permission profiles and per-user defaults
+    await permissionPolicy.init();
+    
+    // Resume jobs persisted before the last shutdown
+    await restoreJobs();
+    
     // Start cleanup worker
     startCleanupWorker();
     
+    // Health-check OpenCode servers and stop idle ones
+    serverSupervisor.startMonitor();
+    
     // Setup Telegram webhook
     await setupTelegramWebhook();
     
@@ -64,4 +104,55 @@ async function start() {
   }
 }
 
+/**
+ * Stop taking new messages, give running jobs until the deadline to finish, then
+ * interrupt the rest, persist state and stop child processes
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  fastify.log.info({ signal }, 'Shutting down');
+
+  // Force exit if a step hangs well past the deadline
+  const deadlineMs = config.SHUTDOWN_TIMEOUT_SECONDS * 1000;
+  setTimeout(() => {
+    fastify.log.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, deadlineMs + 15000).unref();
+
+  try {
+    stopCleanupWorker();
+    serverSupervisor.stopMonitor();
+    jobQueue.pause();
+
+    const drained = await jobQueue.waitForRunning(deadlineMs);
+    if (!drained) {
+      const interrupted = jobQueue.interruptRunning('Interrupted by a restart');
+      fastify.log.warn({ jobs: interrupted.map((job) => job.id) }, 'Interrupting running jobs');
+      await notifyJobsInterrupted(interrupted, '♻️ Bot is restarting, your job was interrupted.', { notify: true });
+      // Give cancelled prompts a moment to wind down before their servers go
+      await jobQueue.waitForRunning(5000);
+    }
+
+    // Queued jobs stay persisted and are picked up again on the next start
+    await jobQueue.persist();
+    await sessionManager.saveActiveSessions();
+
+    stopAllLogins();
+    await serverSupervisor.stopAll();
+    await fastify.close();
+  } catch (error) {
+    fastify.log.error(error, 'Shutdown failed');
+    process.exit(1);
+  }
+
+  fastify.log.info('Shutdown complete');
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 start();
@@ -2,77 +2,147 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { randomUUID } from 'crypto';
 import { config } from '../config.js';
+import { sessionArchive } from './archive.js';
+import { serverSupervisor } from './supervisor.js';
+import { createLogger, closeSessionLog } from './logger.js';
 
 const SESSIONS_DIR = path.join(config.DATA_DIR, 'sessions');
 const AUTH_FILE = path.join(config.XDG_DATA_HOME, 'opencode', 'auth.json');
 
-const LOG_PREFIX = 'session';
+const log = createLogger('session');
 
-function logInfo(message, meta) {
-  if (meta) {
-    console.info(`[${LOG_PREFIX}] ${message}`, meta);
-  } else {
-    console.info(`[${LOG_PREFIX}] ${message}`);
-  }
-}
+const CHATS_FILE = path.join(config.DATA_DIR, 'chats.json');
+
+// Process-bound state kept out of session files (older versions persisted these)
+const RUNTIME_FIELDS = ['serverProcess', 'serverPort', 'pendingApprovals'];
 
-function logError(message, meta) {
-  if (meta) {
-    console.error(`[${LOG_PREFIX}] ${message}`, meta);
-  } else {
-    console.error(`[${LOG_PREFIX}] ${message}`);
+/**
+ * Plain-data copy of a session, without its process-bound state
+ */
+export function toPersistedSession(session) {
+  const persisted = { ...session };
+  for (const field of RUNTIME_FIELDS) {
+    delete persisted[field];
   }
+  return persisted;
 }
 
 class SessionManager {
   constructor() {
-    this.sessions = new Map(); // In-memory cache
+    this.sessions = new Map(); // sessionId -> session (in-memory cache)
+    this.activeSessions = new Map(); // chatId -> active sessionId
+    this.runtime = new Map(); // sessionId -> state that doesn't survive a restart
   }
 
   async init() {
-    logInfo('initializing session manager', { sessionsDir: SESSIONS_DIR });
+    log.info('initializing session manager', { sessionsDir: SESSIONS_DIR });
     await fs.mkdir(SESSIONS_DIR, { recursive: true });
     await fs.mkdir(path.dirname(AUTH_FILE), { recursive: true });
     
     // Load existing sessions
+    const stalePorts = [];
     try {
       const files = await fs.readdir(SESSIONS_DIR);
       let loaded = 0;
       for (const file of files) {
         if (file.endsWith('.json')) {
-          const chatId = file.replace('.json', '');
           const data = await fs.readFile(path.join(SESSIONS_DIR, file), 'utf8');
-          this.sessions.set(chatId, JSON.parse(data));
+          const stored = JSON.parse(data);
+          // Older versions kept the files of ended sessions around
+          if (stored.status === 'ended') {
+            await fs.rm(path.join(SESSIONS_DIR, file), { force: true });
+            continue;
+          }
+
+          // A port saved by an older version points at a server from a previous run
+          if (stored.serverPort) {
+            stalePorts.push(stored.serverPort);
+          }
+          const session = toPersistedSession(stored);
+          if (RUNTIME_FIELDS.some((field) => field in stored)) {
+            await this.saveSession(session);
+          }
+
+          // Sessions used to be stored per chat as <chatId>.json
+          if (file !== `${session.id}.json`) {
+            log.info('migrating chat session file', { file, sessionId: session.id });
+            session.name = session.name || 'main';
+            await this.saveSession(session);
+            await fs.rm(path.join(SESSIONS_DIR, file), { force: true });
+            this.activeSessions.set(session.chatId, session.id);
+          }
+
+          this.sessions.set(session.id, session);
           loaded += 1;
         }
       }
-      logInfo('loaded sessions', { count: loaded });
+      log.info('loaded sessions', { count: loaded });
     } catch (error) {
-      logInfo('no existing sessions to load');
+      log.info('no existing sessions to load');
     }
+
+    // Servers are started lazily on each session's next prompt, which resumes
+    // its opencodeSessionId; anything still running from a previous run goes
+    await serverSupervisor.reapOrphans({ ports: stalePorts });
+
+    try {
+      const chats = JSON.parse(await fs.readFile(CHATS_FILE, 'utf8'));
+      for (const [chatId, sessionId] of Object.entries(chats)) {
+        if (this.sessions.has(sessionId)) {
+          this.activeSessions.set(chatId, sessionId);
+        }
+      }
+    } catch (error) {
+      // No active session map yet
+    }
+    await this.saveActiveSessions();
   }
 
   async getOrCreateSession(chatId) {
-    let session = this.sessions.get(chatId.toString());
+    let session = await this.getSession(chatId);
     
     if (!session || session.status === 'ended') {
-      logInfo('creating new session', { chatId: chatId.toString() });
+      log.info('creating new session', { chatId: chatId.toString() });
       session = await this.createNewSession(chatId);
     }
     
-    // Update last active
-    session.lastActive = Date.now();
-    await this.saveSession(chatId, session);
+    await this.touchSession(session);
     
     return session;
   }
 
-  async createNewSession(chatId) {
-    // End existing session if any
-    const existing = this.sessions.get(chatId.toString());
-    if (existing) {
-      logInfo('ending existing session', { chatId: chatId.toString(), sessionId: existing.id });
-      await this.cleanupSession(existing);
+  /**
+   * Mark a session as used, which also re-arms its idle warning
+   */
+  async touchSession(session) {
+    session.lastActive = Date.now();
+    session.idleWarningSentAt = null;
+    await this.saveSession(session);
+  }
+
+  getSessionTtlHours(session, defaultHours = config.SESSION_IDLE_TIMEOUT_HOURS) {
+    return session.ttlHours ?? defaultHours;
+  }
+
+  getSessionExpiresAt(session, defaultHours = config.SESSION_IDLE_TIMEOUT_HOURS) {
+    return session.lastActive + this.getSessionTtlHours(session, defaultHours) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Override the idle timeout of a session (null restores the global default)
+   */
+  async setSessionTtl(session, hours) {
+    if (hours !== null && (hours < config.SESSION_TTL_MIN_HOURS || hours > config.SESSION_TTL_MAX_HOURS)) {
+      throw new Error(`TTL must be between ${config.SESSION_TTL_MIN_HOURS} and ${config.SESSION_TTL_MAX_HOURS} hours`);
+    }
+    session.ttlHours = hours;
+    await this.touchSession(session);
+  }
+
+  async createNewSession(chatId, name) {
+    const sessionName = name || this.getDefaultName(chatId);
+    if (this.findChatSession(chatId, sessionName)) {
+      throw new Error(`A session named "${sessionName}" already exists`);
     }
 
     const sessionId = randomUUID();
@@ -80,7 +150,7 @@ class SessionManager {
     const dataDir = path.join(config.WORKSPACE_BASE, sessionId, 'data');
     const logsDir = path.join(config.WORKSPACE_BASE, sessionId, 'logs');
 
-    logInfo('creating session directories', {
+    log.info('creating session directories', {
       chatId: chatId.toString(),
       sessionId,
       workspacePath,
@@ -99,70 +169,219 @@ class SessionManager {
     const session = {
       id: sessionId,
       chatId: chatId.toString(),
+      name: sessionName,
       workspacePath,
       dataDir,
       logsDir,
       model: config.DEFAULT_MODEL,
       opencodeSessionId: null,
+      createdAt: Date.now(),
       lastActive: Date.now(),
       status: 'active',
-      pendingApprovals: {},
-      serverPort: null,
-      permissions: {} // Cached permissions for "approve all"
+      permissionProfile: null, // null follows the user's default profile
+      permissionRules: [] // Pattern rules added with /perms or "Approve all"
     };
 
-    this.sessions.set(chatId.toString(), session);
-    await this.saveSession(chatId, session);
+    this.sessions.set(sessionId, session);
+    await this.saveSession(session);
+    await this.setActiveSession(chatId, sessionId);
 
-    logInfo('session created', {
+    log.info('session created', {
       chatId: chatId.toString(),
       sessionId,
+      name: sessionName,
       model: session.model
     });
 
     return session;
   }
 
+  /**
+   * Get the chat's active session
+   */
   async getSession(chatId) {
-    return this.sessions.get(chatId.toString());
+    const sessionId = this.activeSessions.get(chatId.toString());
+    return sessionId ? this.sessions.get(sessionId) : undefined;
+  }
+
+  getSessionById(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * All live sessions of a chat, most recently active first
+   */
+  getChatSessions(chatId) {
+    return this.getAllSessions()
+      .filter((session) => session.chatId === chatId.toString())
+      .sort((a, b) => b.lastActive - a.lastActive);
+  }
+
+  /**
+   * Find a chat session by name, id or id prefix
+   */
+  findChatSession(chatId, nameOrId) {
+    const needle = nameOrId.toLowerCase();
+    const sessions = this.getChatSessions(chatId);
+    return sessions.find((session) => session.name?.toLowerCase() === needle)
+      || sessions.find((session) => session.id === nameOrId)
+      || sessions.find((session) => needle.length >= 4 && session.id.startsWith(needle));
+  }
+
+  getDefaultName(chatId) {
+    const names = new Set(this.getChatSessions(chatId).map((session) => session.name));
+    let index = 1;
+    while (names.has(`session-${index}`)) {
+      index += 1;
+    }
+    return `session-${index}`;
+  }
+
+  async setActiveSession(chatId, sessionId) {
+    if (sessionId) {
+      this.activeSessions.set(chatId.toString(), sessionId);
+    } else {
+      this.activeSessions.delete(chatId.toString());
+    }
+    await this.saveActiveSessions();
+  }
+
+  async switchSession(chatId, nameOrId) {
+    const session = this.findChatSession(chatId, nameOrId);
+    if (!session) {
+      return null;
+    }
+    session.lastActive = Date.now();
+    await this.saveSession(session);
+    await this.setActiveSession(chatId, session.id);
+    log.info('switched session', { chatId: chatId.toString(), sessionId: session.id, name: session.name });
+    return session;
+  }
+
+  async renameSession(chatId, session, name) {
+    const existing = this.findChatSession(chatId, name);
+    if (existing && existing.id !== session.id) {
+      throw new Error(`A session named "${name}" already exists`);
+    }
+    session.name = name;
+    await this.saveSession(session);
+    return session;
   }
 
   async setSessionModel(chatId, modelId) {
     const session = await this.getOrCreateSession(chatId);
     session.model = modelId;
-    await this.saveSession(chatId, session);
+    await this.saveSession(session);
   }
 
-  async endSession(chatId) {
-    const session = this.sessions.get(chatId.toString());
+  /**
+   * End a session (the chat's active one by default).
+   * The workspace is archived first so it can be resumed later.
+   */
+  async endSession(chatId, sessionId, { reason = 'ended' } = {}) {
+    const session = sessionId ? this.sessions.get(sessionId) : await this.getSession(chatId);
     if (session) {
-      logInfo('ending session', { chatId: chatId.toString(), sessionId: session.id });
-      await this.cleanupSession(session);
+      log.info('ending session', { chatId: chatId.toString(), sessionId: session.id, reason });
+      await this.cleanupSession(session, { reason });
       session.status = 'ended';
-      await this.saveSession(chatId, session);
-      this.sessions.delete(chatId.toString());
+      // Its archive keeps a copy of the session for /resume
+      await this.deleteSessionFile(session);
+      this.sessions.delete(session.id);
+
+      // Fall back to the chat's most recently used remaining session
+      if (this.activeSessions.get(chatId.toString()) === session.id) {
+        const [next] = this.getChatSessions(chatId);
+        await this.setActiveSession(chatId, next?.id);
+      }
     }
+    return session;
   }
 
-  async saveSession(chatId, session) {
-    const filePath = path.join(SESSIONS_DIR, `${chatId}.json`);
-    await fs.writeFile(filePath, JSON.stringify(session, null, 2));
+  /**
+   * Restore an archived session, with its workspace and OpenCode history,
+   * as a live session and make it the chat's active one
+   */
+  async resumeSession(chatId, sessionId) {
+    const metadata = await sessionArchive.getArchive(sessionId);
+    if (!metadata || metadata.session.chatId !== chatId.toString()) {
+      return null;
+    }
+    if (this.sessions.has(sessionId)) {
+      throw new Error('Session is already live');
+    }
+
+    await sessionArchive.extractArchive(metadata);
+    // Pick up the current auth rather than the archived one
+    await this.copyAuthToSession(metadata.session.dataDir);
+
+    let name = metadata.session.name || 'restored';
+    if (this.findChatSession(chatId, name)) {
+      name = `${name}-restored`;
+    }
+
+    const session = {
+      ...metadata.session,
+      name,
+      status: 'active',
+      lastActive: Date.now()
+    };
+
+    this.sessions.set(session.id, session);
+    await this.saveSession(session);
+    await this.setActiveSession(chatId, session.id);
+    await sessionArchive.removeArchive(session.id);
+
+    log.info('session resumed', {
+      chatId: chatId.toString(),
+      sessionId: session.id,
+      opencodeSessionId: session.opencodeSessionId
+    });
+
+    return session;
+  }
+
+  async saveSession(session) {
+    const filePath = path.join(SESSIONS_DIR, `${session.id}.json`);
+    await fs.writeFile(filePath, JSON.stringify(toPersistedSession(session), null, 2));
+  }
+
+  async deleteSessionFile(session) {
+    await fs.rm(path.join(SESSIONS_DIR, `${session.id}.json`), { force: true });
   }
 
-  async cleanupSession(session) {
+  /**
+   * Runtime state of a session (pending approvals and the like), never persisted
+   */
+  getRuntime(session) {
+    let runtime = this.runtime.get(session.id);
+    if (!runtime) {
+      runtime = { pendingApprovals: {} };
+      this.runtime.set(session.id, runtime);
+    }
+    return runtime;
+  }
+
+  async saveActiveSessions() {
+    await fs.writeFile(CHATS_FILE, JSON.stringify(Object.fromEntries(this.activeSessions), null, 2));
+  }
+
+  async cleanupSession(session, { reason = 'ended', archive = true } = {}) {
     try {
-      // Kill any running server
-      if (session.serverProcess) {
-        logInfo('stopping session server process', { sessionId: session.id });
-        session.serverProcess.kill();
+      // Stop the session's OpenCode server, if it has one
+      await serverSupervisor.stop(session.id, reason);
+      this.runtime.delete(session.id);
+      await closeSessionLog(session);
+
+      if (archive) {
+        await sessionArchive.archiveSession(session, reason);
       }
 
       // Clean up workspace
       const baseDir = path.dirname(session.workspacePath);
-      logInfo('removing session workspace', { sessionId: session.id, baseDir });
+      log.info('removing session workspace', { sessionId: session.id, baseDir });
       await fs.rm(baseDir, { recursive: true, force: true });
     } catch (error) {
-      logError('failed to cleanup session', { sessionId: session.id, error: error.message });
+      log.error('failed to cleanup session', { sessionId: session.id, error: error.message });
     }
   }
 
@@ -172,10 +391,10 @@ class SessionManager {
       const targetDir = path.join(dataDir, 'opencode');
       await fs.mkdir(targetDir, { recursive: true });
       await fs.copyFile(AUTH_FILE, path.join(targetDir, 'auth.json'));
-      logInfo('copied auth to session', { targetDir });
+      log.info('copied auth to session', { targetDir });
     } catch (error) {
       // Auth file doesn't exist yet
-      logInfo('no auth file to copy', { authPath: AUTH_FILE });
+      log.info('no auth file to copy', { authPath: AUTH_FILE });
     }
   }
 
@@ -193,14 +412,27 @@ class SessionManager {
     return Array.from(this.sessions.values());
   }
 
-  async cleanupIdleSessions(maxAgeHours = config.SESSION_IDLE_TIMEOUT_HOURS) {
+  /**
+   * End sessions idle past their TTL. Sessions entering the warning window
+   * get a single onWarn call; onExpire runs after a session has been ended.
+   */
+  async cleanupIdleSessions(maxAgeHours = config.SESSION_IDLE_TIMEOUT_HOURS, { warnBeforeMs = 0, isBusy, onWarn, onExpire } = {}) {
     const now = Date.now();
-    const maxAgeMs = maxAgeHours * 60 * 60 * 1000;
 
-    for (const [chatId, session] of this.sessions) {
-      if (now - session.lastActive > maxAgeMs) {
-        console.log(`Cleaning up idle session: ${chatId}`);
-        await this.endSession(chatId);
+    for (const session of this.getAllSessions()) {
+      if (isBusy?.(session)) {
+        continue;
+      }
+
+      const expiresAt = this.getSessionExpiresAt(session, maxAgeHours);
+      if (now > expiresAt) {
+        log.info('cleaning up idle session', { sessionId: session.id, chatId: session.chatId });
+        await this.endSession(session.chatId, session.id, { reason: 'idle' });
+        await onExpire?.(session);
+      } else if (warnBeforeMs > 0 && now > expiresAt - warnBeforeMs && !session.idleWarningSentAt) {
+        session.idleWarningSentAt = now;
+        await this.saveSession(session);
+        await onWarn?.(session, expiresAt);
       }
     }
   }
@@ -0,0 +1,384 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import getPort from 'get-port';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('supervisor');
+
+const STARTUP_TIMEOUT_MS = 30000;
+const HEALTH_TIMEOUT_MS = 5000;
+const MAX_HEALTH_FAILURES = 3;
+const MAX_RESTARTS = 5;
+const RESTART_BACKOFF_BASE_MS = 1000;
+const RESTART_BACKOFF_MAX_MS = 60000;
+// A server that stayed healthy this long gets its restart budget back
+const STABLE_AFTER_MS = 5 * 60 * 1000;
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Wait for an OpenCode server to answer its health endpoint
+ */
+async function waitForServer(port, timeout = STARTUP_TIMEOUT_MS) {
+  const start = Date.now();
+
+  while (Date.now() - start < timeout) {
+    if (await checkHealth(port)) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  throw new Error('OpenCode server failed to start');
+}
+
+async function checkHealth(port) {
+  try {
+    const response = await fetch(`http://127.0.0.1:${port}/global/health`, {
+      signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS)
+    });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find `opencode serve` processes running in a session workspace, e.g. left
+ * behind when this process crashed. Linux only; elsewhere nothing is found.
+ */
+async function findStrayServers() {
+  let pids = [];
+  try {
+    pids = (await fs.readdir('/proc')).filter((name) => /^\d+$/.test(name) && Number(name) !== process.pid);
+  } catch {
+    return [];
+  }
+
+  const workspaceBase = path.resolve(config.WORKSPACE_BASE) + path.sep;
+  const strays = [];
+
+  for (const pid of pids) {
+    try {
+      const args = (await fs.readFile(`/proc/${pid}/cmdline`, 'utf8')).split('\0').filter(Boolean);
+      const isOpenCodeServe = args.some((arg) => path.basename(arg).startsWith('opencode')) && args.includes('serve');
+      if (!isOpenCodeServe) {
+        continue;
+      }
+
+      const cwd = await fs.readlink(`/proc/${pid}/cwd`);
+      if ((cwd + path.sep).startsWith(workspaceBase)) {
+        strays.push({ pid: Number(pid), cwd });
+      }
+    } catch {
+      // Process exited or isn't ours to inspect
+    }
+  }
+
+  return strays;
+}
+
+/**
+ * Owns the `opencode serve` process of every session: starts servers on demand,
+ * health-checks them, restarts crashed ones with backoff and stops idle ones.
+ */
+class ServerSupervisor {
+  constructor() {
+    this.servers = new Map(); // sessionId -> server entry
+    this.monitorTimer = null;
+  }
+
+  /**
+   * Get a running server for the session, starting it if needed.
+   * `spawnServer(session, port)` must return the spawned child process.
+   * Every acquire must be paired with a release.
+   */
+  async acquire(session, spawnServer) {
+    let entry = this.servers.get(session.id);
+    if (!entry) {
+      entry = {
+        sessionId: session.id,
+        session,
+        spawnServer,
+        process: null,
+        port: null,
+        status: 'stopped',
+        starting: null,
+        restartTimer: null,
+        restarts: 0,
+        healthFailures: 0,
+        startedAt: null,
+        lastUsedAt: Date.now(),
+        activeUses: 0
+      };
+      this.servers.set(session.id, entry);
+    }
+
+    entry.session = session;
+    entry.spawnServer = spawnServer;
+    entry.activeUses += 1;
+    entry.lastUsedAt = Date.now();
+
+    try {
+      if (entry.status !== 'running') {
+        // A prompt doesn't wait out a crash backoff
+        clearTimeout(entry.restartTimer);
+        entry.restartTimer = null;
+        await this.startServer(entry);
+      }
+      return entry.port;
+    } catch (error) {
+      this.release(session.id);
+      throw error;
+    }
+  }
+
+  release(sessionId) {
+    const entry = this.servers.get(sessionId);
+    if (entry) {
+      entry.activeUses = Math.max(0, entry.activeUses - 1);
+      entry.lastUsedAt = Date.now();
+    }
+  }
+
+  getServer(sessionId) {
+    const entry = this.servers.get(sessionId);
+    return entry?.status === 'running' ? { port: entry.port, pid: entry.process?.pid } : null;
+  }
+
+  countRunning() {
+    return Array.from(this.servers.values()).filter((entry) => entry.process && entry.status !== 'stopped').length;
+  }
+
+  /**
+   * Port, pid and live health of a session's server, or null if none is running
+   */
+  async getServerStatus(sessionId) {
+    const server = this.getServer(sessionId);
+    if (!server) {
+      return null;
+    }
+    return { ...server, healthy: await checkHealth(server.port) };
+  }
+
+  startServer(entry) {
+    if (!entry.starting) {
+      entry.starting = this.spawnAndWait(entry).finally(() => {
+        entry.starting = null;
+      });
+    }
+    return entry.starting;
+  }
+
+  async spawnAndWait(entry) {
+    const port = await getPort();
+    entry.status = 'starting';
+    entry.port = port;
+    entry.healthFailures = 0;
+
+    log.info('starting OpenCode server', { sessionId: entry.sessionId, port });
+    const child = entry.spawnServer(entry.session, port);
+    entry.process = child;
+
+    child.on('exit', (code, signal) => this.handleExit(entry, child, { code, signal }));
+    child.on('error', (error) => {
+      log.error('OpenCode server spawn error', { sessionId: entry.sessionId, port, error: error.message });
+    });
+
+    try {
+      await waitForServer(port);
+    } catch (error) {
+      entry.status = 'stopping';
+      child.kill('SIGKILL');
+      throw error;
+    }
+
+    entry.status = 'running';
+    entry.startedAt = Date.now();
+    log.info('OpenCode server ready', { sessionId: entry.sessionId, port, pid: child.pid });
+    return port;
+  }
+
+  handleExit(entry, child, { code, signal }) {
+    // An old process exiting after a restart must not touch the new one
+    if (entry.process !== child) {
+      return;
+    }
+
+    entry.process = null;
+    const wasStopping = entry.status === 'stopping';
+    entry.status = 'stopped';
+
+    if (wasStopping || this.servers.get(entry.sessionId) !== entry) {
+      log.info('OpenCode server stopped', { sessionId: entry.sessionId, code, signal });
+      return;
+    }
+
+    log.error('OpenCode server exited unexpectedly', { sessionId: entry.sessionId, port: entry.port, code, signal });
+
+    if (entry.restarts >= MAX_RESTARTS) {
+      log.error('OpenCode server keeps crashing, not restarting until next prompt', { sessionId: entry.sessionId });
+      entry.restarts = 0;
+      return;
+    }
+
+    const delay = Math.min(RESTART_BACKOFF_BASE_MS * 2 ** entry.restarts, RESTART_BACKOFF_MAX_MS);
+    entry.restarts += 1;
+    log.info('scheduling OpenCode server restart', { sessionId: entry.sessionId, delay, attempt: entry.restarts });
+
+    entry.restartTimer = setTimeout(() => {
+      entry.restartTimer = null;
+      if (entry.status !== 'stopped' || this.servers.get(entry.sessionId) !== entry) {
+        return;
+      }
+      this.startServer(entry).catch((error) => {
+        log.error('OpenCode server restart failed', { sessionId: entry.sessionId, error: error.message });
+      });
+    }, delay);
+  }
+
+  /**
+   * Stop a session's server and forget it
+   */
+  async stop(sessionId, reason = 'stopped') {
+    const entry = this.servers.get(sessionId);
+    if (!entry) {
+      return;
+    }
+
+    this.servers.delete(sessionId);
+    clearTimeout(entry.restartTimer);
+    await this.killEntry(entry, reason);
+  }
+
+  async killEntry(entry, reason) {
+    const child = entry.process;
+    if (!child || child.exitCode !== null || child.signalCode !== null) {
+      entry.status = 'stopped';
+      return;
+    }
+
+    log.info('stopping OpenCode server', { sessionId: entry.sessionId, pid: child.pid, reason });
+    entry.status = 'stopping';
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      child.kill('SIGTERM');
+    });
+  }
+
+  async stopAll(reason = 'shutdown') {
+    this.stopMonitor();
+    await Promise.all(Array.from(this.servers.keys()).map((sessionId) => this.stop(sessionId, reason)));
+  }
+
+  /**
+   * Stop servers left over from a previous run of this process. `ports` are
+   * ports sessions were last known to use; ones still answering are reported.
+   */
+  async reapOrphans({ ports = [] } = {}) {
+    const strays = (await findStrayServers()).filter(
+      (stray) => !Array.from(this.servers.values()).some((entry) => entry.process?.pid === stray.pid)
+    );
+
+    for (const stray of strays) {
+      log.info('stopping stray OpenCode server', stray);
+      try {
+        process.kill(stray.pid, 'SIGTERM');
+      } catch (error) {
+        log.error('failed to stop stray OpenCode server', { pid: stray.pid, error: error.message });
+      }
+    }
+
+    if (strays.length > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      for (const stray of strays) {
+        try {
+          process.kill(stray.pid, 'SIGKILL');
+        } catch {
+          // Already gone
+        }
+      }
+    }
+
+    const orphanedPorts = [];
+    for (const port of ports) {
+      if (await checkHealth(port)) {
+        orphanedPorts.push(port);
+      }
+    }
+    if (orphanedPorts.length > 0) {
+      log.error('ports from a previous run are still served by processes we could not stop', { ports: orphanedPorts });
+    }
+
+    return { strays, orphanedPorts };
+  }
+
+  /**
+   * Start the periodic health check and idle shutdown
+   */
+  startMonitor() {
+    const intervalMs = config.OPENCODE_HEALTH_CHECK_SECONDS * 1000;
+    log.info('starting server monitor', { intervalMs, idleMinutes: config.OPENCODE_SERVER_IDLE_MINUTES });
+    this.monitorTimer = setInterval(() => {
+      this.checkServers().catch((error) => {
+        log.error('server check failed', { error: error.message });
+      });
+    }, intervalMs);
+    this.monitorTimer.unref();
+  }
+
+  stopMonitor() {
+    clearInterval(this.monitorTimer);
+    this.monitorTimer = null;
+  }
+
+  async checkServers() {
+    const now = Date.now();
+    const idleMs = config.OPENCODE_SERVER_IDLE_MINUTES * 60 * 1000;
+
+    for (const entry of Array.from(this.servers.values())) {
+      if (entry.status !== 'running') {
+        // Forget servers that gave up restarting and haven't been needed since
+        if (entry.status === 'stopped' && !entry.restartTimer && entry.activeUses === 0 && now - entry.lastUsedAt > idleMs) {
+          this.servers.delete(entry.sessionId);
+        }
+        continue;
+      }
+
+      // Idle servers are stopped; the next prompt starts them again
+      if (entry.activeUses === 0 && now - entry.lastUsedAt > idleMs) {
+        entry.status = 'stopping';
+        this.servers.delete(entry.sessionId);
+        await this.killEntry(entry, 'idle');
+        continue;
+      }
+
+      if (await checkHealth(entry.port)) {
+        entry.healthFailures = 0;
+        if (entry.restarts > 0 && now - entry.startedAt > STABLE_AFTER_MS) {
+          entry.restarts = 0;
+        }
+        continue;
+      }
+
+      entry.healthFailures += 1;
+      log.error('OpenCode server health check failed', {
+        sessionId: entry.sessionId,
+        port: entry.port,
+        failures: entry.healthFailures
+      });
+
+      // Treat a hung server like a crash; the exit handler restarts it
+      if (entry.healthFailures >= MAX_HEALTH_FAILURES) {
+        entry.process?.kill('SIGKILL');
+      }
+    }
+  }
+}
+
+export const serverSupervisor = new ServerSupervisor();
@@ -1,27 +1,39 @@
 import { Telegraf } from 'telegraf';
+import { randomUUID } from 'crypto';
 import { config } from '../config.js';
 import { sessionManager } from './session.js';
 import { jobQueue } from './queue.js';
+import { userAccess } from './users.js';
+import { permissionPolicy, PERMISSION_ACTIONS } from './permissions.js';
+import { approvalTracker, questionTracker, getRequestSubjects, renderApprovalRequest, suggestApprovalPattern } from './approvals.js';
+import { telegramApiErrors } from './metrics.js';
+import { createLogger, readSessionLog } from './logger.js';
+import { getRecordingPath, readRecording } from './recorder.js';
+import { escapeHtml, renderReply, stripHtml } from './render.js';
+import { createThrottledUpdater, renderProgress } from './progress.js';
 
 const bot = new Telegraf(config.TELEGRAM_BOT_TOKEN);
 
-const LOG_PREFIX = 'telegram';
-
-function logInfo(message, meta) {
-  if (meta) {
-    console.info(`[${LOG_PREFIX}] ${message}`, meta);
-  } else {
-    console.info(`[${LOG_PREFIX}] ${message}`);
+// Count failed Bot API calls (429s from editMessageText included) for /metrics
+const callApi = bot.telegram.callApi.bind(bot.telegram);
+bot.telegram.callApi = async (method, ...args) => {
+  try {
+    return await callApi(method, ...args);
+  } catch (error) {
+    telegramApiErrors.inc({ method, code: error.response?.error_code ?? error.code ?? 'unknown' });
+    throw error;
   }
-}
+};
 
-function logError(message, meta) {
-  if (meta) {
-    console.error(`[${LOG_PREFIX}] ${message}`, meta);
-  } else {
-    console.error(`[${LOG_PREFIX}] ${message}`);
-  }
-}
+const log = createLogger('telegram');
+
+const SESSION_NAME_PATTERN = /^[\w.-]{1,32}$/;
+// Output kept on each job for /job
+const OUTPUT_TAIL_CHARS = 2000;
+// At most one progress edit per job this often (Telegram allows ~1 edit/s per chat)
+const PROGRESS_INTERVAL_MS = 3000;
+// Longer answers are sent as one Markdown file instead of a flood of messages
+const MAX_REPLY_MESSAGES = 8;
 
 export async function setupTelegramWebhook() {
   const webhookUrl = `${config.PUBLIC_BASE_URL}/webhook`;
@@ -31,7 +43,7 @@ export async function setupTelegramWebhook() {
     allowed_updates: ['message', 'callback_query']
   });
   
-  console.log(`Webhook set to: ${webhookUrl}`);
+  log.info('webhook set', { webhookUrl });
 }
 
 export async function handleTelegramUpdate(update) {
@@ -41,18 +53,18 @@ export async function handleTelegramUpdate(update) {
     return;
   }
   
-  // Handle messages
-  if (!update.message || !update.message.text) {
+  // Handle messages (text, documents and photos)
+  const msg = update.message;
+  if (!msg || (!msg.text && !msg.document && !msg.photo)) {
     return;
   }
   
-  const msg = update.message;
   const chatId = msg.chat.id;
   const userId = msg.from.id.toString();
   const text = msg.text;
   
   // Check user allowlist
-  if (!config.TELEGRAM_ALLOWED_USER_IDS.includes(userId)) {
+  if (!userAccess.isAllowed(userId)) {
     await bot.telegram.sendMessage(chatId, '⛔ You are not authorized to use this bot.');
     return;
   }
@@ -63,30 +75,91 @@ export async function handleTelegramUpdate(update) {
     return;
   }
   
+  // Uploads are saved to the workspace, the caption becomes the prompt
+  if (msg.document || msg.photo) {
+    await handleUpload(chatId, userId, msg);
+    return;
+  }
+  
   // Parse command or treat as message to agent
   if (text.startsWith('/')) {
-    await handleCommand(chatId, userId, text);
-  } else {
+    await handleCommand(chatId, userId, text, msg.message_id);
+  } else if (!await answerQuestionWithText(chatId, userId, text)) {
     await handleAgentMessage(chatId, userId, text, msg.message_id);
   }
 }
 
-async function handleCommand(chatId, userId, text) {
+async function handleCommand(chatId, userId, text, messageId) {
   const parts = text.split(' ');
   const command = parts[0].toLowerCase();
   const args = parts.slice(1).join(' ').trim();
   
   switch (command) {
-    case '/new':
-      logInfo('command /new', { chatId, userId });
-      await sessionManager.createNewSession(chatId);
-      await bot.telegram.sendMessage(chatId, '✨ New session created! Workspace is ready.');
+    case '/new': {
+      log.info('command /new', { chatId, userId, name: args });
+      if (args && !SESSION_NAME_PATTERN.test(args)) {
+        await bot.telegram.sendMessage(chatId, '❌ Session names may contain letters, digits, . _ - (up to 32 chars).');
+        return;
+      }
+      let session;
+      try {
+        session = await sessionManager.createNewSession(chatId, args || undefined);
+      } catch (error) {
+        await bot.telegram.sendMessage(chatId, `❌ ${error.message}`);
+        return;
+      }
+      await bot.telegram.sendMessage(chatId, `✨ New session "${session.name}" created! Workspace is ready.`);
+      break;
+    }
+      
+    case '/end': {
+      log.info('command /end', { chatId, userId, name: args });
+      const target = args ? sessionManager.findChatSession(chatId, args) : await sessionManager.getSession(chatId);
+      if (!target) {
+        await bot.telegram.sendMessage(chatId, args ? `❌ No session named "${args}".` : 'ℹ️ No active session.');
+        return;
+      }
+      await sessionManager.endSession(chatId, target.id);
+      const next = await sessionManager.getSession(chatId);
+      await bot.telegram.sendMessage(
+        chatId,
+        `👋 Session "${target.name}" ended and archived. Use /resume to restore it.${next ? `\nActive session: ${next.name}` : ''}`
+      );
+      break;
+    }
+      
+    case '/sessions':
+      log.info('command /sessions', { chatId, userId });
+      await handleSessionsCommand(chatId);
+      break;
+      
+    case '/switch':
+      log.info('command /switch', { chatId, userId, name: args });
+      if (!args) {
+        await handleSessionsCommand(chatId);
+        return;
+      }
+      await handleSwitchCommand(chatId, args);
+      break;
+      
+    case '/resume':
+      log.info('command /resume', { chatId, userId, name: args });
+      await handleResumeCommand(chatId, args);
+      break;
+      
+    case '/ttl':
+      log.info('command /ttl', { chatId, userId, hours: args });
+      await handleTtlCommand(chatId, args);
+      break;
+      
+    case '/perms':
+      log.info('command /perms', { chatId, userId, args });
+      await handlePermsCommand(chatId, userId, args);
       break;
       
-    case '/end':
-      logInfo('command /end', { chatId, userId });
-      await sessionManager.endSession(chatId);
-      await bot.telegram.sendMessage(chatId, '👋 Session ended. Workspace cleaned up.');
+    case '/rename':
+      log.info('command /rename', { chatId, userId, name: args });
+      await handleRenameCommand(chatId, args);
       break;
       
     case '/model':
@@ -99,13 +172,13 @@ async function handleCommand(chatId, userId, text) {
       break;
       
     case '/models':
-      logInfo('command /models', { chatId, userId });
+      log.info('command /models', { chatId, userId });
       await handleModelsCommand(chatId);
       break;
       
     case '/login':
       if (args === 'openai') {
-        logInfo('command /login openai', { chatId, userId });
+        log.info('command /login openai', { chatId, userId });
         await handleLoginOpenAI(chatId);
       } else {
         await bot.telegram.sendMessage(chatId, '❌ Usage: /login openai');
@@ -113,299 +186,2075 @@ async function handleCommand(chatId, userId, text) {
       break;
       
     case '/cancel':
-      logInfo('command /cancel', { chatId, userId });
+      log.info('command /cancel', { chatId, userId });
       await handleCancel(chatId);
       break;
       
+    case '/ls':
+      log.info('command /ls', { chatId, userId, path: args });
+      await handleListCommand(chatId, args);
+      break;
+      
+    case '/tree':
+      log.info('command /tree', { chatId, userId, path: args });
+      await handleTreeCommand(chatId, args);
+      break;
+      
+    case '/get':
+      log.info('command /get', { chatId, userId, path: args });
+      await handleGetCommand(chatId, args);
+      break;
+      
+    case '/repo':
+      log.info('command /repo', { chatId, userId });
+      await handleRepoCommand(chatId, userId, args);
+      break;
+      
+    case '/commit':
+      log.info('command /commit', { chatId, userId });
+      await handleCommitCommand(chatId, args);
+      break;
+      
+    case '/push':
+      log.info('command /push', { chatId, userId });
+      await handlePushCommand(chatId, userId);
+      break;
+      
+    case '/credentials':
+      log.info('command /credentials', { chatId, userId });
+      await handleCredentialsCommand(chatId, userId, args, messageId);
+      break;
+      
+    case '/status':
+      log.info('command /status', { chatId, userId });
+      await handleStatusCommand(chatId);
+      break;
+      
+    case '/job':
+      log.info('command /job', { chatId, userId, jobId: args });
+      await handleJobCommand(chatId, args);
+      break;
+      
+    case '/logs':
+      log.info('command /logs', { chatId, userId });
+      await handleLogsCommand(chatId);
+      break;
+      
+    case '/replay':
+      log.info('command /replay', { chatId, userId, args });
+      await handleReplayCommand(chatId, userId, args, messageId);
+      break;
+      
     case '/help':
-      logInfo('command /help', { chatId, userId });
+      log.info('command /help', { chatId, userId });
       await bot.telegram.sendMessage(chatId, getHelpText());
       break;
       
     default:
-      logInfo('command unknown', { chatId, userId, command });
+      log.info('command unknown', { chatId, userId, command });
       await bot.telegram.sendMessage(chatId, '❓ Unknown command. Use /help for available commands.');
   }
 }
 
-async function handleAgentMessage(chatId, userId, text, messageId) {
-  // Queue the job
-  const jobId = await jobQueue.add(chatId, userId, text, async (progressCallback) => {
-    const session = await sessionManager.getOrCreateSession(chatId);
-    let lastProgressUpdateAt = 0;
+async function handleUpload(chatId, userId, msg) {
+  const { getUploadFromMessage, saveTelegramUpload } = await import('./uploads.js');
+  const upload = getUploadFromMessage(msg);
+  if (!upload) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ Nothing to upload in that message.', {
+      reply_to_message_id: msg.message_id
+    });
+    return;
+  }
+
+  const session = await sessionManager.getOrCreateSession(chatId);
+
+  log.info('upload received', { chatId, userId, fileName: upload.fileName, size: upload.size });
+
+  let saved;
+  try {
+    saved = await saveTelegramUpload({
+      telegram: bot.telegram,
+      upload,
+      workspacePath: session.workspacePath
+    });
+  } catch (error) {
+    log.error('upload failed', { chatId, error: error.message });
+    await bot.telegram.sendMessage(chatId, `❌ Upload failed: ${error.message}`, {
+      reply_to_message_id: msg.message_id
+    });
+    return;
+  }
 
-    // Acknowledge with initial message
-    const ackMsg = await bot.telegram.sendMessage(
+  const extracted = saved.extractedTo ? `\nExtracted to: ${saved.extractedTo}/` : '';
+  const caption = (msg.caption || '').trim();
+
+  if (!caption) {
+    // Keep the file around until the next prompt so the agent knows about it
+    session.pendingAttachments = [...(session.pendingAttachments || []), saved];
+    await sessionManager.saveSession(session);
+    await bot.telegram.sendMessage(
       chatId,
-      `🔄 Processing...\nJob ID: ${jobId}\nSession: ${session.id}`,
-      { reply_to_message_id: messageId }
+      `📎 Saved ${saved.path}${extracted}\nIt will be attached to your next message.`,
+      { reply_to_message_id: msg.message_id }
     );
+    return;
+  }
 
-    logInfo('job started', { chatId, jobId, sessionId: session.id, model: session.model });
+  await bot.telegram.sendMessage(chatId, `📎 Saved ${saved.path}${extracted}`, {
+    reply_to_message_id: msg.message_id
+  });
+  await handleAgentMessage(chatId, userId, caption, msg.message_id, [saved]);
+}
 
-    try {
-      // Import opencode runner
-      const { runOpenCode } = await import('./opencode.js');
-
-      const result = await runOpenCode({
-        session,
-        message: text,
-        onProgress: async (data) => {
-          const now = Date.now();
-
-          // Throttle message updates to every 3 seconds to avoid Telegram 429 rate limits
-          if (now - lastProgressUpdateAt < 3000) {
-            return;
-          }
-          lastProgressUpdateAt = now;
-
-          // Update message with progress
-          const progressText = formatProgress(data);
-          logInfo('job progress', {
-            chatId,
-            jobId,
-            elapsed: data.elapsed,
-            outputLength: data.output.length,
-            eventType: data.event?.type
-          });
-          try {
-            await bot.telegram.editMessageText(
-              chatId,
-              ackMsg.message_id,
-              undefined,
-              progressText,
-              { parse_mode: 'Markdown' }
-            );
-          } catch (e) {
-            logError('progress update failed', { chatId, jobId, error: e.message });
-          }
-        },
-        onApproval: async (permissionData) => {
-          logInfo('permission request', {
-            chatId,
-            jobId,
-            permissionId: permissionData.id,
-            tool: permissionData.tool
-          });
-          // Send approval request with inline buttons
-          const keyboard = {
-            inline_keyboard: [[
-              { text: '✅ Approve once', callback_data: `approve:${jobId}:${permissionData.id}` },
-              { text: '❌ Deny', callback_data: `deny:${jobId}:${permissionData.id}` },
-              { text: '✅✅ Approve all', callback_data: `approve_all:${jobId}:${permissionData.id}` }
-            ]]
-          };
-          
-          await bot.telegram.sendMessage(
-            chatId,
-            `⚠️ *Permission Request*\n\nTool: \`${permissionData.tool}\`\nInput: \`${JSON.stringify(permissionData.input).slice(0, 200)}\`\n\nPlease approve or deny:`,
-            { parse_mode: 'MarkdownV2', reply_markup: keyboard }
-          );
-          
-          // Wait for approval (will be handled by callback)
-          return new Promise((resolve) => {
-            session.pendingApprovals = session.pendingApprovals || {};
-            session.pendingApprovals[permissionData.id] = resolve;
-          });
-        }
-      });
-      
-      // Send final result
-      if (result.output.length > 3500) {
-        // Send as file
-        await bot.telegram.sendDocument(
-          chatId,
-          { source: Buffer.from(result.output), filename: `output-${jobId}.txt` },
-          { caption: `✅ Job completed\nDuration: ${result.duration}s`, reply_to_message_id: messageId }
-        );
-        logInfo('job completed (file)', { chatId, jobId, duration: result.duration });
-      } else {
-        await bot.telegram.editMessageText(
-          chatId,
-          ackMsg.message_id,
-          undefined,
-          `✅ *Completed*\n\n${result.output.slice(0, 3500)}`,
-          { parse_mode: 'Markdown' }
-        );
-        logInfo('job completed', { chatId, jobId, duration: result.duration });
-      }
-      
-    } catch (error) {
-      logError('job failed', { chatId, jobId, error: error.message });
-      await bot.telegram.editMessageText(
-        chatId,
-        ackMsg.message_id,
-        undefined,
-        `❌ *Error*\n\n${error.message.slice(0, 500)}`,
-        { parse_mode: 'Markdown' }
-      );
-    }
+async function handleAgentMessage(chatId, userId, text, messageId, attachments = [], { session, replay } = {}) {
+  // Bind the job to the session that is active now, even if the user switches later
+  const targetSession = session || await sessionManager.getOrCreateSession(chatId);
+
+  // Queue the job
+  const jobId = await jobQueue.add(chatId, userId, text, runAgentJob, {
+    sessionId: targetSession.id,
+    data: { messageId, attachments, sessionName: targetSession.name, replay }
   });
   
   // Notify about queue position if not immediate
   const position = jobQueue.getPosition(jobId);
   if (position > 0) {
-    await bot.telegram.sendMessage(
+    const queuedMsg = await bot.telegram.sendMessage(
       chatId,
-      `⏳ Queued (position: ${position + 1})\nJob ID: ${jobId}`,
+      formatQueuedMessage(jobId, position),
       { reply_to_message_id: messageId }
     );
+    const job = jobQueue.getJob(jobId);
+    if (job) {
+      job.queuedMessageId = queuedMsg.message_id;
+      job.shownPosition = position;
+      jobQueue.persist();
+      // The position may have moved while the message was being sent
+      if (job.status === 'queued' && job.position !== position) {
+        await updateQueuedMessage(job);
+      }
+    }
   }
 }
 
-function formatProgress(data) {
-  const lines = data.output.split('\n').slice(-12);
-  const truncated = lines.join('\n').slice(-3500);
-  
-  return `🔄 *Running* • ${data.elapsed}s elapsed\n\n\`\`\`\n${truncated}\n\`\`\``;
-}
+/**
+ * Job executor for agent prompts. Everything it needs lives on the job, so it
+ * can be handed to jobs restored after a restart.
+ */
+async function runAgentJob({ signal, job }) {
+  const { id: jobId, chatId, message: text } = job;
+  const { messageId, attachments = [], sessionName, replay } = job.data;
 
-async function handleCallbackQuery(callbackQuery) {
-  const data = callbackQuery.data;
-  const [action, jobId, permissionId] = data.split(':');
-  const chatId = callbackQuery.message.chat.id;
-  
-  const session = await sessionManager.getSession(chatId);
-  if (!session || !session.pendingApprovals || !session.pendingApprovals[permissionId]) {
-    await bot.telegram.answerCbQuery(callbackQuery.id, 'Request expired');
+  if (job.queuedMessageId) {
+    bot.telegram
+      .editMessageText(chatId, job.queuedMessageId, undefined, `▶️ Started\nJob ID: ${jobId}`)
+      .catch(() => {});
+  }
+
+  const session = sessionManager.getSessionById(job.sessionId);
+  if (!session) {
+    await bot.telegram.sendMessage(chatId, `ℹ️ Session "${sessionName}" ended before job ${jobId} started.`, {
+      reply_to_message_id: messageId
+    });
     return;
   }
-  
-  const resolve = session.pendingApprovals[permissionId];
-  
-  switch (action) {
-    case 'approve':
-      resolve({ approved: true, remember: false });
-      await bot.telegram.answerCbQuery(callbackQuery.id, 'Approved once');
-      break;
-    case 'deny':
-      resolve({ approved: false });
-      await bot.telegram.answerCbQuery(callbackQuery.id, 'Denied');
-      break;
-    case 'approve_all':
-      resolve({ approved: true, remember: true });
-      await bot.telegram.answerCbQuery(callbackQuery.id, 'Approved for session');
-      break;
+  // Job events also go to the session log, for /logs
+  const jobLog = log.forSession(session, { jobId });
+  await sessionManager.touchSession(session);
+
+  // Include files uploaded without a caption since the last prompt (not in replays)
+  const jobAttachments = replay ? [] : [...(session.pendingAttachments || []), ...attachments];
+  if (!replay && session.pendingAttachments?.length) {
+    session.pendingAttachments = [];
+    await sessionManager.saveSession(session);
   }
-  
-  // Clean up
-  delete session.pendingApprovals[permissionId];
-  await sessionManager.saveSession(chatId, session);
-}
 
-async function handleModelsCommand(chatId) {
-  const loadingMsg = await bot.telegram.sendMessage(chatId, '🔍 Fetching available models...');
-  
+  // Permission requests this job is waiting on, denied if the job is cancelled
+  const jobApprovals = new Set();
+  signal.addEventListener('abort', () => {
+    const source = job.status === 'interrupted' ? 'restart' : 'cancelled';
+    for (const permissionId of jobApprovals) {
+      settleApproval(permissionId, { decision: 'deny', source });
+    }
+    jobApprovals.clear();
+  }, { once: true });
+
+  // Acknowledge with initial message
+  const ackMsg = await bot.telegram.sendMessage(
+    chatId,
+    `🔄 Processing...\nJob ID: ${jobId}\nSession: ${session.name} (${session.id.slice(0, 8)})`,
+    { reply_to_message_id: messageId }
+  );
+
+  // Remembered so a restart can mark this message as interrupted, and retry with the same files
+  job.progressMessageId = ackMsg.message_id;
+  job.data.attachments = jobAttachments;
+  jobQueue.persist();
+
+  jobLog.info('job started', { model: session.model });
+
+  // Tool calls, todos and output are shown live, within Telegram's edit limits
+  const progress = createThrottledUpdater({
+    intervalMs: PROGRESS_INTERVAL_MS,
+    render: renderProgress,
+    send: async (progressText) => {
+      try {
+        await sendHtml(chatId, progressText, { editMessageId: ackMsg.message_id });
+      } catch (e) {
+        const retryAfter = e.response?.parameters?.retry_after;
+        if (retryAfter) {
+          progress.pause(retryAfter * 1000);
+        }
+        jobLog.error('progress update failed', { error: e.message });
+      }
+    }
+  });
+
   try {
-    const { listModels } = await import('./opencode.js');
-    const models = await listModels();
+    // Import opencode runner
+    const { runOpenCode, replayOpenCode } = await import('./opencode.js');
+
+    // Snapshot the workspace so the job's changes can be diffed and reverted
+    const hasSnapshot = !replay && await snapshotJob(session, jobId, 'before');
+
+    // Replays feed a recorded event stream through the same progress handling.
+    // Their permission requests and questions are dismissed without a prompt,
+    // since no agent is waiting on the answers.
+    const runAgent = replay
+      ? async (options) => replayOpenCode({
+        ...options,
+        recording: await readRecording(getRecordingPath(session, replay.jobId)),
+        speed: replay.speed
+      })
+      : runOpenCode;
+
+    const result = await runAgent({
+      session,
+      jobId,
+      message: text,
+      attachments: jobAttachments,
+      signal,
+      onProgress: (data) => {
+        job.outputTail = data.output.slice(-OUTPUT_TAIL_CHARS);
+        progress.update(data);
+      },
+      ...(replay ? {} : {
+        onApproval: (permissionData) => requestApproval(permissionData, { session, jobId, chatId, jobApprovals, log: jobLog }),
+        onQuestion: (questionData) => askQuestions(questionData, { chatId, jobId, signal, log: jobLog })
+      })
+    });
     
-    const modelList = models.map(m => `• ${m.id} - ${m.name || 'Unknown'}`).join('\n');
+    await progress.stop();
+
+    // Long jobs count as activity, so restart the idle clock when they finish
+    await sessionManager.touchSession(session);
+    job.outputTail = result.output.slice(-OUTPUT_TAIL_CHARS);
+
+    // Send final result
+    await sendAgentReply(chatId, result.output, {
+      header: `✅ <b>Completed</b> • ${result.duration}s`,
+      editMessageId: ackMsg.message_id,
+      replyToMessageId: messageId,
+      filename: `output-${jobId}.md`
+    });
+    jobLog.info('job completed', { duration: result.duration });
+
+    if (hasSnapshot) {
+      await sendJobChangeSummary(chatId, session, jobId, result.editedFiles);
+    }
     
-    await bot.telegram.editMessageText(
-      chatId,
-      loadingMsg.message_id,
-      undefined,
-      `📋 *Available Models*\n\n${modelList}\n\nUse /model <id> to set a model`,
-      { parse_mode: 'Markdown' }
-    );
   } catch (error) {
-    await bot.telegram.editMessageText(
-      chatId,
-      loadingMsg.message_id,
-      undefined,
-      `❌ Failed to fetch models: ${error.message}`
-    );
+    await progress.stop();
+    if (signal.aborted) {
+      // Jobs interrupted by a shutdown are reported by notifyJobsInterrupted
+      if (job.status === 'interrupted') {
+        jobLog.info('job interrupted');
+        return;
+      }
+      jobLog.info('job cancelled');
+      await bot.telegram.editMessageText(chatId, ackMsg.message_id, undefined, `🛑 Cancelled\nJob ID: ${jobId}`)
+        .catch((error) => jobLog.error('cancel message edit failed', { error: error.message }));
+      return;
+    }
+    jobLog.error('job failed', { error: error.message });
+    await sendHtml(chatId, `❌ <b>Error</b>\n\n${escapeHtml(error.message.slice(0, 500))}`, {
+      editMessageId: ackMsg.message_id
+    });
+  } finally {
+    await restartForPolicyChange(session);
   }
 }
 
-async function handleLoginOpenAI(chatId) {
-  const loadingMsg = await bot.telegram.sendMessage(chatId, '🔐 Starting OpenAI login...\nPlease wait for the login URL.');
-  
+function formatQueuedMessage(jobId, position) {
+  return `⏳ Queued (position: ${position})\nJob ID: ${jobId}`;
+}
+
+/**
+ * Keep a job's "Queued" message in sync with its position
+ */
+async function updateQueuedMessage(job) {
+  if (!job.queuedMessageId || job.shownPosition === job.position) {
+    return;
+  }
+  job.shownPosition = job.position;
+
   try {
-    const { performLogin } = await import('./login.js');
+    await bot.telegram.editMessageText(job.chatId, job.queuedMessageId, undefined, formatQueuedMessage(job.id, job.position));
+  } catch (error) {
+    log.error('failed to update queued message', { chatId: job.chatId, jobId: job.id, error: error.message });
+  }
+}
 
-    logInfo('starting OpenAI login flow', { chatId });
+jobQueue.on('position', (job) => {
+  updateQueuedMessage(job);
+});
 
-    performLogin({
-      provider: 'openai',
-      onUrl: async (url) => {
-        logInfo('sending login url to user', { chatId });
-        await bot.telegram.editMessageText(
-          chatId,
-          loadingMsg.message_id,
-          undefined,
-          `🔐 *OpenAI Login*\n\n1. Click this link to open the login page:\n${url}\n\n2. Complete the login in your browser\n\n3. The bot will automatically detect when you're done`,
-          { parse_mode: 'Markdown', disable_web_page_preview: true }
-        );
-      }
-    })
-      .then(async (result) => {
-        if (result.success) {
-          logInfo('login flow completed successfully', { chatId });
-          await bot.telegram.editMessageText(
-            chatId,
-            loadingMsg.message_id,
-            undefined,
-            '✅ Successfully logged in to OpenAI!\n\nYou can now start using the agent.'
-          );
-        } else {
-          logError('login flow failed', { chatId, error: result.error });
-          await bot.telegram.editMessageText(
-            chatId,
-            loadingMsg.message_id,
-            undefined,
-            `❌ Login failed: ${result.error}`
-          );
-        }
-      })
-      .catch(async (error) => {
-        logError('login flow error', { chatId, error: error.message });
-        await bot.telegram.editMessageText(
-          chatId,
-          loadingMsg.message_id,
-          undefined,
-          `❌ Login error: ${error.message}`
-        );
-      });
+async function snapshotJob(session, jobId, label) {
+  try {
+    const { snapshotWorkspace } = await import('./git.js');
+    await snapshotWorkspace(session.workspacePath, jobId, label);
+    return true;
   } catch (error) {
-    logError('login flow setup error', { chatId, error: error.message });
-    await bot.telegram.editMessageText(
+    log.error('workspace snapshot failed', { sessionId: session.id, jobId, label, error: error.message });
+    return false;
+  }
+}
+
+async function sendJobChangeSummary(chatId, session, jobId, editedFiles = []) {
+  if (!(await snapshotJob(session, jobId, 'after'))) {
+    if (editedFiles.length > 0) {
+      await bot.telegram.sendMessage(chatId, `📝 Edited files:\n${editedFiles.join('\n')}`);
+    }
+    return;
+  }
+
+  try {
+    const { getJobChanges, formatChangeSummary } = await import('./git.js');
+    const changes = await getJobChanges(session.workspacePath, jobId);
+    if (changes.length === 0) {
+      return;
+    }
+
+    await bot.telegram.sendMessage(
       chatId,
-      loadingMsg.message_id,
-      undefined,
-      `❌ Login error: ${error.message}`
+      `📝 Job ${jobId} changed ${changes.length} file(s):\n\n${formatChangeSummary(changes)}`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '📄 View diff', callback_data: `diff:${jobId}` },
+            { text: '↩️ Revert', callback_data: `revert:${jobId}` }
+          ]]
+        }
+      }
     );
+  } catch (error) {
+    log.error('change summary failed', { chatId, jobId, error: error.message });
   }
 }
 
-async function handleCancel(chatId) {
-  const cancelled = await jobQueue.cancelSessionJobs(chatId);
-  
-  if (cancelled > 0) {
-    await bot.telegram.sendMessage(chatId, `🛑 Cancelled ${cancelled} running job(s).`);
-  } else {
-    await bot.telegram.sendMessage(chatId, 'ℹ️ No running jobs to cancel.');
+async function handleJobChangesCallback(callbackQuery, action, jobId) {
+  const chatId = callbackQuery.message.chat.id;
+  const job = jobQueue.getJob(jobId);
+  const session = job?.sessionId ? sessionManager.getSessionById(job.sessionId) : await sessionManager.getSession(chatId);
+  const git = await import('./git.js');
+
+  if (!session || !(await git.hasJobSnapshot(session.workspacePath, jobId))) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Changes are no longer available');
+    return;
+  }
+
+  try {
+    if (action === 'diff') {
+      const diff = await git.getJobDiff(session.workspacePath, jobId);
+      await bot.telegram.answerCbQuery(callbackQuery.id);
+      await bot.telegram.sendDocument(chatId, { source: Buffer.from(diff), filename: `job-${jobId}.patch` });
+      return;
+    }
+
+    await git.revertJobChanges(session.workspacePath, jobId);
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Changes reverted');
+    await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined, {
+      inline_keyboard: [[{ text: '📄 View diff', callback_data: `diff:${jobId}` }]]
+    });
+    await bot.telegram.sendMessage(chatId, `↩️ Reverted the changes from job ${jobId}.`);
+  } catch (error) {
+    log.error('job changes callback failed', { chatId, jobId, action, error: error.message });
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Failed');
+    await bot.telegram.sendMessage(chatId, `❌ ${action === 'diff' ? 'Diff' : 'Revert'} failed: ${error.message.slice(0, 500)}`);
+  }
+}
+
+/**
+ * Send (or edit `editMessageId` into) an HTML message, falling back to plain
+ * text if Telegram rejects the markup
+ */
+async function sendHtml(chatId, html, { editMessageId, ...extra } = {}) {
+  const send = (text, options) => (editMessageId
+    ? bot.telegram.editMessageText(chatId, editMessageId, undefined, text, options)
+    : bot.telegram.sendMessage(chatId, text, options));
+
+  try {
+    return await send(html, { parse_mode: 'HTML', ...extra });
+  } catch (error) {
+    if (!/can't parse entities/i.test(error.response?.description || '')) {
+      throw error;
+    }
+    log.error('HTML rejected, sending plain text', { chatId, error: error.message });
+    return send(stripHtml(html), extra);
+  }
+}
+
+/**
+ * Send the model's Markdown answer: rendered to HTML, split over several
+ * messages (the first one edited into `editMessageId`), with large code blocks
+ * attached as files
+ */
+async function sendAgentReply(chatId, markdown, { header, editMessageId, replyToMessageId, filename }) {
+  const { messages, documents } = renderReply(markdown.trim() || '(no output)');
+
+  if (messages.length > MAX_REPLY_MESSAGES) {
+    await sendHtml(chatId, `${header}\n\nThe answer is long, so it is attached as a file.`, { editMessageId });
+    await bot.telegram.sendDocument(chatId, { source: Buffer.from(markdown), filename }, {
+      reply_to_message_id: replyToMessageId
+    });
+    return;
+  }
+
+  const [first, ...rest] = messages;
+  await sendHtml(chatId, `${header}\n\n${first}`, { editMessageId });
+  for (const html of rest) {
+    await sendHtml(chatId, html, { reply_to_message_id: replyToMessageId });
+  }
+  for (const document of documents) {
+    await bot.telegram.sendDocument(chatId, { source: Buffer.from(document.content), filename: document.filename }, {
+      reply_to_message_id: replyToMessageId
+    });
   }
 }
 
+const APPROVAL_VERDICTS = {
+  approve: { icon: '✅', text: 'Approved once' },
+  approve_pattern: { icon: '✅', text: 'Approved pattern' },
+  approve_all: { icon: '✅✅', text: 'Approved for session' },
+  deny: { icon: '❌', text: 'Denied' }
+};
+
+const AUTOMATIC_DECISION_REASONS = {
+  rule: 'a session rule matches',
+  timeout: 'no answer in time',
+  cancelled: 'the job was cancelled',
+  restart: 'the bot restarted before an answer'
+};
+
+function formatApprovalTimeout() {
+  if (!config.APPROVAL_TIMEOUT_MINUTES) {
+    return '';
+  }
+  const verdict = config.APPROVAL_TIMEOUT_DECISION === 'approve' ? 'approved' : 'denied';
+  return ` (${verdict} automatically after ${formatDuration(config.APPROVAL_TIMEOUT_MINUTES * 60 * 1000)})`;
+}
+
+/**
+ * What was decided on a permission request, by whom and when
+ */
+function formatApprovalDecision({ decision: { decision, source, username, decidedAt }, pattern }) {
+  const { icon, text } = APPROVAL_VERDICTS[decision];
+  const rule = decision === 'approve_pattern' ? ` <code>${escapeHtml(pattern)}</code>` : '';
+  const by = source === 'user' ? `by ${username}` : `automatically: ${AUTOMATIC_DECISION_REASONS[source]}`;
+  const at = new Date(decidedAt).toISOString().replace('T', ' ').slice(0, 16);
+  return `${icon} <b>${text}</b>${rule} ${escapeHtml(by)} • ${at} UTC`;
+}
+
+/**
+ * Ask the chat to decide on a permission request and wait for the answer (a
+ * button press, the timeout or cancellation). Requests a session rule added
+ * since the server started already covers are decided without asking.
+ */
+async function requestApproval(permissionData, { session, jobId, chatId, jobApprovals, log: jobLog }) {
+  const { id: permissionId, tool } = permissionData;
+  jobLog.info('permission request', { permissionId, tool });
+
+  const record = {
+    id: permissionId,
+    jobId,
+    sessionId: session.id,
+    chatId: chatId.toString(),
+    tool,
+    input: permissionData.input
+  };
+
+  const verdicts = getRequestSubjects(permissionData, session.workspacePath)
+    .map((subject) => permissionPolicy.evaluate(session, tool, subject));
+  const ruleDecision = verdicts.includes('deny') ? 'deny'
+    : verdicts.length > 0 && verdicts.every((verdict) => verdict === 'allow') ? 'approve' : null;
+  if (ruleDecision) {
+    approvalTracker.add(record);
+    await approvalTracker.decide(permissionId, { decision: ruleDecision, source: 'rule' });
+    return { approved: ruleDecision === 'approve' };
+  }
+
+  const pattern = suggestApprovalPattern(permissionData, session.workspacePath);
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '✅ Approve once', callback_data: `approve:${jobId}:${permissionId}` },
+        { text: '❌ Deny', callback_data: `deny:${jobId}:${permissionId}` }
+      ],
+      [
+        ...(pattern ? [{ text: `✅ Allow ${pattern.slice(0, 40)}`, callback_data: `approve_pattern:${jobId}:${permissionId}` }] : []),
+        { text: '✅✅ Approve all', callback_data: `approve_all:${jobId}:${permissionId}` }
+      ]
+    ]
+  };
+
+  const { html: requestText, document } = renderApprovalRequest(permissionData, session.workspacePath);
+  const approvalMsg = await sendHtml(
+    chatId,
+    `${requestText}\n\nPlease approve or deny${formatApprovalTimeout()}:`,
+    { reply_markup: keyboard }
+  );
+  if (document) {
+    await bot.telegram.sendDocument(chatId, { source: Buffer.from(document.content), filename: document.filename }, {
+      reply_to_message_id: approvalMsg.message_id
+    });
+  }
+
+  const { pendingApprovals } = sessionManager.getRuntime(session);
+  return new Promise((resolve) => {
+    pendingApprovals[permissionId] = (decision) => {
+      jobApprovals.delete(permissionId);
+      resolve(decision);
+    };
+    jobApprovals.add(permissionId);
+    approvalTracker.add({ ...record, messageId: approvalMsg.message_id, pattern, text: requestText }, {
+      onReminder: (request) => sendWaitingReminder(request, `your approval of <code>${escapeHtml(request.tool)}</code>`),
+      onTimeout: (request, decision) => settleApproval(request.id, { decision, source: 'timeout' })
+    });
+  });
+}
+
+/**
+ * Apply a decision to a pending permission request: hand it to the job waiting
+ * on it, audit it and show it on the approval message. Returns the request,
+ * or null if it had already been decided.
+ */
+async function settleApproval(permissionId, verdict) {
+  const request = await approvalTracker.decide(permissionId, verdict);
+  if (!request) {
+    return null;
+  }
+
+  const session = sessionManager.getSessionById(request.sessionId);
+  if (session) {
+    const { pendingApprovals } = sessionManager.getRuntime(session);
+    pendingApprovals[permissionId]?.({
+      approved: verdict.decision !== 'deny',
+      remember: verdict.decision === 'approve_all',
+      pattern: verdict.decision === 'approve_pattern' ? request.pattern : undefined
+    });
+    delete pendingApprovals[permissionId];
+  }
+
+  await updateApprovalMessage(request);
+  return request;
+}
+
+async function updateApprovalMessage(request) {
+  if (!request.messageId) {
+    return;
+  }
+  try {
+    await sendHtml(request.chatId, `${request.text}\n\n${formatApprovalDecision(request)}`, {
+      editMessageId: request.messageId
+    });
+  } catch (error) {
+    log.error('approval message update failed', { chatId: request.chatId, permissionId: request.id, error: error.message });
+  }
+}
+
+/**
+ * Ping about a request still waiting on the user; `subject` (HTML) is what the
+ * job waits for
+ */
+async function sendWaitingReminder(request, subject) {
+  const remaining = request.expiresAt ? `, ${formatDuration(request.expiresAt - Date.now())} left` : '';
+  try {
+    await sendHtml(request.chatId, `⏰ Job ${request.jobId} is waiting for ${subject}${remaining}.`, {
+      reply_to_message_id: request.messageId
+    });
+  } catch (error) {
+    log.error('reminder failed', { chatId: request.chatId, requestId: request.id, error: error.message });
+  }
+}
+
+/**
+ * Who pressed a button, as recorded with their decision
+ */
+function getCallbackUser(from) {
+  return { userId: from.id.toString(), username: from.username ? `@${from.username}` : from.first_name };
+}
+
+// Questions the agent is waiting on, by job (a job asks one at a time)
+const pendingQuestions = new Map();
+
+/**
+ * A question from the agent (Telegram HTML), with its options and, for
+ * multiple choice, what is selected so far
+ */
+function formatQuestion({ question, position, total }) {
+  const counter = total > 1 ? ` (${position}/${total})` : '';
+  const lines = [`❓ <b>${escapeHtml(question.header || 'Question')}</b>${counter}`, '', escapeHtml(question.question)];
+  if (question.options?.length) {
+    lines.push('', ...question.options.map((option) =>
+      `• <b>${escapeHtml(option.label)}</b>${option.description ? ` — ${escapeHtml(option.description)}` : ''}`));
+  }
+  return lines.join('\n');
+}
+
+function buildQuestionKeyboard(jobId, { question, selected }) {
+  const rows = (question.options || []).map((option, index) => [{
+    text: question.multiple ? `${selected.has(index) ? '☑️' : '⬜'} ${option.label}` : option.label,
+    callback_data: `answer:${jobId}:${index}`
+  }]);
+  rows.push([
+    ...(question.multiple ? [{ text: '✅ Done', callback_data: `answer_done:${jobId}` }] : []),
+    { text: '⏭️ Skip', callback_data: `answer_skip:${jobId}` }
+  ]);
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Ask the agent's questions one after another and collect the answers (the
+ * chosen labels or custom text per question). Returns null if the user skips
+ * a question or the job is cancelled, which dismisses the request.
+ */
+async function askQuestions({ id, questions }, { chatId, jobId, signal, log: jobLog }) {
+  const answers = [];
+  for (const [index, question] of questions.entries()) {
+    const answer = await askQuestion(chatId, jobId, signal, {
+      id: `${id}:${index + 1}`,
+      question,
+      position: index + 1,
+      total: questions.length
+    });
+    if (!answer) {
+      jobLog.info('question skipped', { position: index + 1 });
+      return null;
+    }
+    answers.push(answer);
+  }
+  return answers;
+}
+
+async function askQuestion(chatId, jobId, signal, { id, question, position, total }) {
+  if (signal.aborted) {
+    return null;
+  }
+
+  const pending = { id, chatId: chatId.toString(), question, position, total, selected: new Set() };
+  const customHint = question.custom === false ? '' : '\n\n<i>Tap an option or send your own answer as a message.</i>';
+  const questionMsg = await sendHtml(chatId, `${formatQuestion(pending)}${customHint}`, {
+    reply_markup: buildQuestionKeyboard(jobId, pending)
+  });
+  pending.messageId = questionMsg.message_id;
+
+  return new Promise((resolve) => {
+    const onAbort = () => settleQuestion(jobId, null, { source: 'cancelled' });
+    pending.resolve = (answer) => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(answer);
+    };
+    pendingQuestions.set(jobId, pending);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    // Timed out, reminded and closed out after a restart like approvals
+    questionTracker.add({ id, jobId, chatId: pending.chatId, messageId: pending.messageId, text: formatQuestion(pending) }, {
+      onReminder: (request) => sendWaitingReminder(request, 'your answer'),
+      onTimeout: () => settleQuestion(jobId, null, { source: 'timeout' })
+    });
+  });
+}
+
+const QUESTION_DISMISSALS = {
+  user: '⏭️ Skipped',
+  cancelled: '🛑 Cancelled with the job.',
+  timeout: '⌛ Dismissed: no answer in time',
+  restart: '♻️ Dismissed: the bot restarted before an answer'
+};
+
+/**
+ * Hand an answer (or null to dismiss the question) to the job waiting on it
+ * and show the outcome under the question. `verdict` says who decided:
+ * { source: 'user', userId, username }, or source 'cancelled' or 'timeout'.
+ */
+async function settleQuestion(jobId, answer, { source = 'user', userId = null, username = null }) {
+  const pending = pendingQuestions.get(jobId);
+  if (!pending) {
+    return false;
+  }
+  pendingQuestions.delete(jobId);
+  pending.resolve(answer);
+
+  const request = await questionTracker.decide(pending.id, { decision: answer ? 'answer' : 'dismiss', source, userId, username });
+  if (request) {
+    await updateQuestionMessage(request, answer ? formatAnswer(answer) : QUESTION_DISMISSALS[source]);
+  }
+  return true;
+}
+
+async function updateQuestionMessage(request, outcome) {
+  try {
+    await sendHtml(request.chatId, `${request.text}\n\n${outcome}`, { editMessageId: request.messageId });
+  } catch (error) {
+    log.error('question message update failed', { chatId: request.chatId, jobId: request.jobId, error: error.message });
+  }
+}
+
+function formatAnswer(answer) {
+  return `✅ <b>Answer:</b> ${escapeHtml(answer.join(', '))}`;
+}
+
+async function handleAnswerCallback(callbackQuery, action, jobId, optionIndex) {
+  const chatId = callbackQuery.message.chat.id;
+  const pending = pendingQuestions.get(jobId);
+  if (!pending || pending.chatId !== chatId.toString() || pending.messageId !== callbackQuery.message.message_id) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Question no longer open');
+    return;
+  }
+
+  const { options = [], multiple } = pending.question;
+  if (action === 'answer_skip') {
+    await settleQuestion(jobId, null, getCallbackUser(callbackQuery.from));
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Skipped');
+    return;
+  }
+
+  if (action === 'answer_done') {
+    if (pending.selected.size === 0) {
+      await bot.telegram.answerCbQuery(callbackQuery.id, 'Select at least one option');
+      return;
+    }
+    const answer = Array.from(pending.selected).sort((a, b) => a - b).map((index) => options[index].label);
+    await settleQuestion(jobId, answer, getCallbackUser(callbackQuery.from));
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Answer sent');
+    return;
+  }
+
+  const index = parseInt(optionIndex, 10);
+  if (!options[index]) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Unknown option');
+    return;
+  }
+
+  if (!multiple) {
+    await settleQuestion(jobId, [options[index].label], getCallbackUser(callbackQuery.from));
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Answer sent');
+    return;
+  }
+
+  // Multiple choice: toggle the option and wait for Done
+  if (!pending.selected.delete(index)) {
+    pending.selected.add(index);
+  }
+  await bot.telegram.editMessageReplyMarkup(chatId, pending.messageId, undefined, buildQuestionKeyboard(jobId, pending));
+  await bot.telegram.answerCbQuery(callbackQuery.id);
+}
+
+/**
+ * While the chat's running job waits on a question, a plain message answers
+ * it instead of queueing a new job. Returns true if the text was used.
+ */
+async function answerQuestionWithText(chatId, userId, text) {
+  const [jobId, pending] = Array.from(pendingQuestions.entries())
+    .find(([, candidate]) => candidate.chatId === chatId.toString()) || [];
+  if (!pending) {
+    return false;
+  }
+
+  if (pending.question.custom === false) {
+    await bot.telegram.sendMessage(chatId, '❓ The agent is waiting for you to pick one of the options above (or Skip).', {
+      reply_to_message_id: pending.messageId
+    });
+    return true;
+  }
+
+  // Options already ticked on a multiple choice question count too
+  const answer = [...Array.from(pending.selected).map((index) => pending.question.options[index].label), text];
+  await settleQuestion(jobId, answer, { userId: userId.toString(), username: null });
+  return true;
+}
+
+async function handleCallbackQuery(callbackQuery) {
+  const data = callbackQuery.data;
+  const [action, jobId, permissionId] = data.split(':');
+  const chatId = callbackQuery.message.chat.id;
+  
+  if (action === 'diff' || action === 'revert') {
+    await handleJobChangesCallback(callbackQuery, action, jobId);
+    return;
+  }
+  
+  if (action === 'commit_ok' || action === 'commit_no') {
+    await handleCommitCallback(callbackQuery, action, jobId);
+    return;
+  }
+  
+  if (action === 'push_ok' || action === 'push_no') {
+    await handlePushCallback(callbackQuery, action, jobId);
+    return;
+  }
+  
+  if (action === 'repo_ok' || action === 'repo_no') {
+    await handleRepoCallback(callbackQuery, action, jobId);
+    return;
+  }
+  
+  if (action === 'keepalive' || action === 'endnow') {
+    await handleIdleCallback(callbackQuery, action, jobId);
+    return;
+  }
+  
+  if (action === 'resume') {
+    await handleResumeCallback(callbackQuery, jobId);
+    return;
+  }
+  
+  if (action === 'switch') {
+    await handleSwitchCallback(callbackQuery, jobId);
+    return;
+  }
+  
+  if (action === 'retry') {
+    await handleRetryCallback(callbackQuery, jobId);
+    return;
+  }
+  
+  if (action === 'perms_profile') {
+    await handlePermsCallback(callbackQuery, jobId);
+    return;
+  }
+  
+  if (action === 'answer' || action === 'answer_done' || action === 'answer_skip') {
+    await handleAnswerCallback(callbackQuery, action, jobId, permissionId);
+    return;
+  }
+  
+  const request = approvalTracker.get(permissionId);
+  if (!request || request.chatId !== chatId.toString() || !APPROVAL_VERDICTS[action]) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Request expired');
+    return;
+  }
+
+  const decided = await settleApproval(permissionId, { decision: action, ...getCallbackUser(callbackQuery.from) });
+  await bot.telegram.answerCbQuery(callbackQuery.id, decided ? APPROVAL_VERDICTS[action].text : 'Already decided');
+}
+
+function formatSessionLine(session, activeId) {
+  const marker = session.id === activeId ? '▶️' : '•';
+  const repo = session.repo ? ` • ${session.repo.url}` : '';
+  return `${marker} ${session.name} (${session.id.slice(0, 8)}) • ${session.model}${repo}`;
+}
+
+async function handleSessionsCommand(chatId) {
+  const sessions = sessionManager.getChatSessions(chatId);
+  const active = await sessionManager.getSession(chatId);
+
+  if (sessions.length === 0) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No sessions. Send a message or use /new [name] to start one.');
+    return;
+  }
+
+  const keyboard = sessions.map((session) => [{
+    text: `${session.id === active?.id ? '▶️ ' : ''}${session.name}`,
+    callback_data: `switch:${session.id}`
+  }]);
+
+  await bot.telegram.sendMessage(
+    chatId,
+    `🗂 Sessions\n\n${sessions.map((session) => formatSessionLine(session, active?.id)).join('\n')}\n\nTap a session to switch to it.`,
+    { reply_markup: { inline_keyboard: keyboard } }
+  );
+}
+
+async function handleSwitchCommand(chatId, nameOrId) {
+  const session = await sessionManager.switchSession(chatId, nameOrId);
+  if (!session) {
+    await bot.telegram.sendMessage(chatId, `❌ No session named "${nameOrId}". Use /sessions to list them.`);
+    return;
+  }
+  await bot.telegram.sendMessage(chatId, `🔀 Switched to session "${session.name}".`);
+}
+
+async function handleSwitchCallback(callbackQuery, sessionId) {
+  const chatId = callbackQuery.message.chat.id;
+  const session = await sessionManager.switchSession(chatId, sessionId);
+  if (!session) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Session no longer exists');
+    return;
+  }
+
+  await bot.telegram.answerCbQuery(callbackQuery.id, `Switched to ${session.name}`);
+  const sessions = sessionManager.getChatSessions(chatId);
+  await bot.telegram.editMessageText(
+    chatId,
+    callbackQuery.message.message_id,
+    undefined,
+    `🗂 Sessions\n\n${sessions.map((candidate) => formatSessionLine(candidate, session.id)).join('\n')}\n\nTap a session to switch to it.`,
+    {
+      reply_markup: {
+        inline_keyboard: sessions.map((candidate) => [{
+          text: `${candidate.id === session.id ? '▶️ ' : ''}${candidate.name}`,
+          callback_data: `switch:${candidate.id}`
+        }])
+      }
+    }
+  );
+}
+
+async function handleResumeCommand(chatId, nameOrId) {
+  const { sessionArchive } = await import('./archive.js');
+  const { formatSize } = await import('./workspace.js');
+  const archives = await sessionArchive.listArchives(chatId);
+
+  if (archives.length === 0) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No archived sessions to resume.');
+    return;
+  }
+
+  if (nameOrId) {
+    const needle = nameOrId.toLowerCase();
+    const match = archives.find((archive) => archive.session.name?.toLowerCase() === needle)
+      || archives.find((archive) => archive.session.id.startsWith(needle));
+    if (!match) {
+      await bot.telegram.sendMessage(chatId, `❌ No archived session named "${nameOrId}".`);
+      return;
+    }
+    await resumeArchivedSession(chatId, match.session.id);
+    return;
+  }
+
+  const lines = archives.map((archive) => {
+    const archivedAt = new Date(archive.archivedAt).toISOString().replace('T', ' ').slice(0, 16);
+    return `• ${archive.session.name} (${archive.session.id.slice(0, 8)}) • ${archive.reason} ${archivedAt} UTC • ${formatSize(archive.size)}`;
+  });
+
+  await bot.telegram.sendMessage(
+    chatId,
+    `🗄 Archived sessions\n\n${lines.join('\n')}\n\nTap one to restore it.`,
+    {
+      reply_markup: {
+        inline_keyboard: archives.map((archive) => [{
+          text: `♻️ ${archive.session.name}`,
+          callback_data: `resume:${archive.session.id}`
+        }])
+      }
+    }
+  );
+}
+
+async function resumeArchivedSession(chatId, sessionId) {
+  const statusMsg = await bot.telegram.sendMessage(chatId, '♻️ Restoring session...');
+  try {
+    const session = await sessionManager.resumeSession(chatId, sessionId);
+    if (!session) {
+      await bot.telegram.editMessageText(chatId, statusMsg.message_id, undefined, '❌ Archive no longer exists.');
+      return;
+    }
+    await bot.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `✅ Session "${session.name}" restored and active.${session.opencodeSessionId ? ' The conversation continues where it left off.' : ''}`
+    );
+  } catch (error) {
+    log.error('resume failed', { chatId, sessionId, error: error.message });
+    await bot.telegram.editMessageText(chatId, statusMsg.message_id, undefined, `❌ Resume failed: ${error.message}`);
+  }
+}
+
+async function handleResumeCallback(callbackQuery, sessionId) {
+  const chatId = callbackQuery.message.chat.id;
+  await bot.telegram.answerCbQuery(callbackQuery.id);
+  await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined, { inline_keyboard: [] });
+  await resumeArchivedSession(chatId, sessionId);
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.max(0, Math.round(ms / 60000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function formatElapsed(ms) {
+  return ms < 60000 ? `${Math.round(ms / 1000)}s` : formatDuration(ms);
+}
+
+function formatJobLine(job) {
+  const icon = job.status === 'running' ? '🔄' : '⏳';
+  const detail = job.status === 'running'
+    ? `running ${formatElapsed(Date.now() - job.startedAt)}`
+    : `queued #${job.position}`;
+  return `${icon} ${job.id} ${detail} – ${job.message.slice(0, 40)}`;
+}
+
+async function handleStatusCommand(chatId) {
+  const lines = [];
+  const session = await sessionManager.getSession(chatId);
+
+  if (session) {
+    const { getDirectorySize, formatSize } = await import('./workspace.js');
+    const { serverSupervisor } = await import('./supervisor.js');
+    const size = await getDirectorySize(session.workspacePath).catch(() => null);
+    const server = await serverSupervisor.getServerStatus(session.id);
+    const serverLine = server
+      ? `port ${server.port}, ${server.healthy ? 'healthy' : 'not responding'}`
+      : 'stopped (starts on the next prompt)';
+
+    lines.push(
+      `📊 Session "${session.name}" (${session.id.slice(0, 8)})`,
+      `Model: ${session.model}`,
+      `Workspace: ${size === null ? 'unknown' : formatSize(size)}`,
+      // Sessions migrated from per-chat files have no creation time
+      session.createdAt
+        ? `Age: ${formatDuration(Date.now() - session.createdAt)}`
+        : `Last active: ${formatDuration(Date.now() - session.lastActive)} ago`,
+      `Expires in: ${formatDuration(sessionManager.getSessionExpiresAt(session) - Date.now())} (if idle)`,
+      `Server: ${serverLine}`
+    );
+  } else {
+    lines.push('📊 No active session.');
+  }
+
+  const chatJobs = jobQueue
+    .getAllJobs()
+    .filter((job) => job.chatId === chatId.toString() && (job.status === 'running' || job.status === 'queued'))
+    .sort((a, b) => (a.status === 'running' ? -1 : b.status === 'running' ? 1 : a.position - b.position));
+
+  lines.push('', chatJobs.length ? 'Jobs:' : 'No running or queued jobs.');
+  lines.push(...chatJobs.map(formatJobLine));
+
+  lines.push(
+    '',
+    `Queue: ${jobQueue.runningJobs.size}/${jobQueue.concurrency} running, ${jobQueue.getQueuedCount()} waiting`
+  );
+
+  await bot.telegram.sendMessage(chatId, lines.join('\n'));
+}
+
+async function handleJobCommand(chatId, jobId) {
+  if (!jobId) {
+    await bot.telegram.sendMessage(chatId, '❌ Usage: /job <id>');
+    return;
+  }
+
+  const job = jobQueue.getJob(jobId);
+  if (!job || job.chatId !== chatId.toString()) {
+    await bot.telegram.sendMessage(chatId, `❌ No job ${jobId} in the last 24 hours.`);
+    return;
+  }
+
+  const session = sessionManager.getSessionById(job.sessionId);
+  const lines = [
+    `🧾 Job ${job.id}: ${job.status}${job.status === 'queued' ? ` (position ${job.position})` : ''}`,
+    `Session: ${session?.name || job.data?.sessionName || 'ended'}`,
+    `Prompt: ${job.message.slice(0, 200)}`,
+    `Created: ${new Date(job.createdAt).toISOString()}`
+  ];
+
+  if (job.startedAt) {
+    lines.push(`Waited: ${formatElapsed(job.startedAt - job.createdAt)}`);
+    lines.push(`Ran: ${formatElapsed((job.endedAt || Date.now()) - job.startedAt)}${job.endedAt ? '' : ' so far'}`);
+  }
+  if (job.error) {
+    lines.push(`Error: ${job.error.slice(0, 500)}`);
+  }
+  if (job.outputTail) {
+    lines.push('', 'Last output:', job.outputTail.split('\n').slice(-15).join('\n').slice(-1500));
+  }
+
+  await bot.telegram.sendMessage(chatId, lines.join('\n'));
+}
+
+async function handleLogsCommand(chatId) {
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+
+  const sessionLog = await readSessionLog(session, config.MAX_DOWNLOAD_MB * 1024 * 1024);
+  if (!sessionLog?.buffer.length) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ Nothing logged for this session yet.');
+    return;
+  }
+
+  await bot.telegram.sendDocument(
+    chatId,
+    { source: sessionLog.buffer, filename: `session-${session.name}.log` },
+    { caption: `📜 Log of session "${session.name}"${sessionLog.truncated ? ' (latest entries only)' : ''}` }
+  );
+}
+
+async function handleReplayCommand(chatId, userId, args, messageId) {
+  const [jobId, speedArg = '1'] = args.split(/\s+/).filter(Boolean);
+  const speed = Number(speedArg);
+  if (!jobId || !Number.isFinite(speed) || speed < 0) {
+    await bot.telegram.sendMessage(chatId, '❌ Usage: /replay <job id> [speed] (0 replays instantly)');
+    return;
+  }
+
+  // The id becomes part of the recording's path
+  if (!/^[\w-]+$/.test(jobId)) {
+    await bot.telegram.sendMessage(chatId, '❌ Invalid job id.');
+    return;
+  }
+
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+
+  try {
+    await readRecording(getRecordingPath(session, jobId));
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? `No event recording for job ${jobId} in session "${session.name}".` : error.message;
+    await bot.telegram.sendMessage(chatId, `❌ ${reason}`);
+    return;
+  }
+
+  await handleAgentMessage(chatId, userId, `Replay of job ${jobId}`, messageId, [], {
+    session,
+    replay: { jobId, speed }
+  });
+}
+
+export async function notifyIdleWarning(session, expiresAt) {
+  try {
+    await bot.telegram.sendMessage(
+      session.chatId,
+      `⏰ Session "${session.name}" has been idle and will be ended in ${formatDuration(expiresAt - Date.now())}. Its workspace will be archived.`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '💚 Keep alive', callback_data: `keepalive:${session.id}` },
+            { text: '🛑 End now', callback_data: `endnow:${session.id}` }
+          ]]
+        }
+      }
+    );
+  } catch (error) {
+    log.error('idle warning failed', { chatId: session.chatId, sessionId: session.id, error: error.message });
+  }
+}
+
+export async function notifySessionExpired(session) {
+  try {
+    await bot.telegram.sendMessage(
+      session.chatId,
+      `💤 Session "${session.name}" was ended after ${sessionManager.getSessionTtlHours(session)}h of inactivity. Use /resume to restore it.`
+    );
+  } catch (error) {
+    log.error('expiry notice failed', { chatId: session.chatId, sessionId: session.id, error: error.message });
+  }
+}
+
+/**
+ * Pick up jobs persisted before a restart: queued ones run again, running ones
+ * are marked interrupted in their chat with a Retry button
+ */
+export async function restoreJobs() {
+  // Permission requests and questions left open by a crash can't be answered any more
+  for (const request of await approvalTracker.restore()) {
+    await updateApprovalMessage(request);
+  }
+  for (const request of await questionTracker.restore()) {
+    await updateQuestionMessage(request, QUESTION_DISMISSALS.restart);
+  }
+  const { interrupted } = await jobQueue.restore(() => runAgentJob);
+  await notifyJobsInterrupted(interrupted, '⚠️ Interrupted by a restart');
+}
+
+/**
+ * Tell the chats of interrupted jobs, offering a Retry button. The progress
+ * message is edited; with `notify` a new message is sent too, since edits
+ * don't notify anyone.
+ */
+export async function notifyJobsInterrupted(jobs, reason, { notify = false } = {}) {
+  for (const job of jobs) {
+    const text = `${reason}\nJob ID: ${job.id}`;
+    const retry = {
+      reply_markup: { inline_keyboard: [[{ text: '🔁 Retry', callback_data: `retry:${job.id}` }]] }
+    };
+
+    try {
+      if (job.progressMessageId) {
+        await bot.telegram.editMessageText(job.chatId, job.progressMessageId, undefined, text, notify ? {} : retry);
+      }
+      if (notify || !job.progressMessageId) {
+        await bot.telegram.sendMessage(job.chatId, text, { ...retry, reply_to_message_id: job.data?.messageId });
+      }
+    } catch (error) {
+      log.error('interrupted job notice failed', { chatId: job.chatId, jobId: job.id, error: error.message });
+    }
+  }
+}
+
+async function handleRetryCallback(callbackQuery, jobId) {
+  const chatId = callbackQuery.message.chat.id;
+  const job = jobQueue.getJob(jobId);
+  await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined, { inline_keyboard: [] });
+
+  if (!job || job.chatId !== chatId.toString() || job.status !== 'interrupted') {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Job can no longer be retried');
+    return;
+  }
+
+  // Retry in the job's own session if it is still around
+  job.status = 'retried';
+  jobQueue.persist();
+  const session = sessionManager.getSessionById(job.sessionId) || undefined;
+
+  await bot.telegram.answerCbQuery(callbackQuery.id, 'Retrying');
+  await handleAgentMessage(chatId, job.userId, job.message, job.data?.messageId, job.data?.attachments || [], { session });
+}
+
+async function handleIdleCallback(callbackQuery, action, sessionId) {
+  const chatId = callbackQuery.message.chat.id;
+  const session = sessionManager.getSessionById(sessionId);
+  await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined, { inline_keyboard: [] });
+
+  if (!session) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Session already ended');
+    return;
+  }
+
+  if (action === 'keepalive') {
+    await sessionManager.touchSession(session);
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Kept alive');
+    await bot.telegram.sendMessage(
+      chatId,
+      `💚 Session "${session.name}" kept alive for another ${sessionManager.getSessionTtlHours(session)}h.`
+    );
+    return;
+  }
+
+  await sessionManager.endSession(chatId, session.id);
+  await bot.telegram.answerCbQuery(callbackQuery.id, 'Session ended');
+  await bot.telegram.sendMessage(chatId, `👋 Session "${session.name}" ended and archived. Use /resume to restore it.`);
+}
+
+async function handleTtlCommand(chatId, args) {
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+
+  if (!args) {
+    const ttl = sessionManager.getSessionTtlHours(session);
+    const remaining = sessionManager.getSessionExpiresAt(session) - Date.now();
+    await bot.telegram.sendMessage(
+      chatId,
+      `⏳ Session "${session.name}" TTL: ${ttl}h${session.ttlHours == null ? ' (default)' : ''}, expires in ${formatDuration(remaining)} of inactivity.\n` +
+        `Use /ttl <hours> (${config.SESSION_TTL_MIN_HOURS}-${config.SESSION_TTL_MAX_HOURS}) or /ttl default.`
+    );
+    return;
+  }
+
+  const hours = args === 'default' ? null : Number(args);
+  if (hours !== null && !Number.isFinite(hours)) {
+    await bot.telegram.sendMessage(chatId, '❌ Usage: /ttl <hours> or /ttl default');
+    return;
+  }
+
+  try {
+    await sessionManager.setSessionTtl(session, hours);
+    await bot.telegram.sendMessage(
+      chatId,
+      `✅ Session "${session.name}" TTL set to ${sessionManager.getSessionTtlHours(session)}h${hours === null ? ' (default)' : ''}.`
+    );
+  } catch (error) {
+    await bot.telegram.sendMessage(chatId, `❌ ${error.message}`);
+  }
+}
+
+const PERMS_USAGE = [
+  '/perms - Show the effective policy',
+  '/perms profile <name|default> - Use a profile for this session',
+  '/perms default <name> - Set your default profile',
+  '/perms allow|ask|deny <tool> [pattern] - Add a session rule, e.g. /perms allow bash make test*',
+  '/perms remove <tool> [pattern] - Remove a session rule',
+  '/perms reset - Drop the session\'s profile and rules',
+  '/perms log - Show recent approval decisions in this chat'
+].join('\n');
+
+const PERMS_LOG_ENTRIES = 15;
+
+function formatPermissionConfig(permissions) {
+  return Object.entries(permissions).map(([tool, rule]) => {
+    if (typeof rule === 'string') {
+      return `${tool}: ${rule}`;
+    }
+    return [`${tool}:`, ...Object.entries(rule).map(([pattern, action]) => `  ${pattern} → ${action}`)].join('\n');
+  }).join('\n');
+}
+
+async function sendPermissionPolicy(chatId, session) {
+  const profile = permissionPolicy.getSessionProfile(session);
+  const rules = permissionPolicy.getSessionRules(session);
+  const text = [
+    `🔐 Permissions of session "${session.name}"`,
+    `Profile: ${profile.name} (${profile.source})`,
+    '',
+    'Profiles:',
+    ...permissionPolicy.listProfiles().map(({ name, description }) => `• ${name}${description ? ` - ${description}` : ''}`),
+    '',
+    'Session rules:',
+    ...(rules.length ? rules.map((rule) => `• ${rule.action} ${rule.tool} ${rule.pattern}`) : ['(none)']),
+    '',
+    'Effective policy:',
+    formatPermissionConfig(permissionPolicy.getEffectiveConfig(session)),
+    '',
+    PERMS_USAGE
+  ].join('\n');
+
+  // Profile names end up in callback data, which is limited to 64 bytes
+  const buttons = permissionPolicy.listProfiles()
+    .filter(({ name }) => /^[\w.-]{1,40}$/.test(name))
+    .map(({ name }) => ({ text: `${name === profile.name ? '● ' : ''}${name}`, callback_data: `perms_profile:${name}` }));
+
+  if (text.length > 3500) {
+    await bot.telegram.sendDocument(chatId, { source: Buffer.from(text), filename: 'permissions.txt' }, {
+      caption: `🔐 Permissions of session "${session.name}" (profile: ${profile.name})`,
+      reply_markup: { inline_keyboard: [buttons] }
+    });
+    return;
+  }
+  await bot.telegram.sendMessage(chatId, text, { reply_markup: { inline_keyboard: [buttons] } });
+}
+
+// Sessions whose policy changed while a job was running on their server
+const pendingPolicyRestarts = new Set();
+
+/**
+ * The policy is passed to `opencode serve` when it starts, so stop an idle
+ * server to have the change picked up by the next prompt. A busy server is
+ * stopped once its job finishes (see restartForPolicyChange).
+ */
+async function applyPermissionChange(session) {
+  const { serverSupervisor } = await import('./supervisor.js');
+  if (!serverSupervisor.getServer(session.id)) {
+    return '';
+  }
+  if (jobQueue.getAllJobs().some((job) => job.sessionId === session.id && job.status === 'running')) {
+    pendingPolicyRestarts.add(session.id);
+    return ' It applies once the running job has finished.';
+  }
+  await serverSupervisor.stop(session.id, 'permissions changed');
+  return '';
+}
+
+async function restartForPolicyChange(session) {
+  if (pendingPolicyRestarts.delete(session.id)) {
+    const { serverSupervisor } = await import('./supervisor.js');
+    await serverSupervisor.stop(session.id, 'permissions changed');
+  }
+}
+
+/**
+ * The chat's latest entries from the permission audit log
+ */
+async function sendPermissionLog(chatId) {
+  const entries = await approvalTracker.readAudit({ chatId, limit: PERMS_LOG_ENTRIES });
+  if (entries.length === 0) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No permission decisions in this chat yet.');
+    return;
+  }
+
+  const lines = entries.map((entry) => {
+    const by = entry.source === 'user' ? entry.username : entry.source;
+    const at = entry.at.replace('T', ' ').slice(0, 16);
+    return `${APPROVAL_VERDICTS[entry.decision].icon} ${at} <code>${escapeHtml(entry.tool)}</code> • ${escapeHtml(by || '')} • job ${entry.jobId}`;
+  });
+  await sendHtml(chatId, `<b>Permission decisions</b> (UTC)\n\n${lines.join('\n')}`);
+}
+
+async function handlePermsCommand(chatId, userId, args) {
+  const [subcommand, tool, ...patternParts] = args.split(/\s+/).filter(Boolean);
+  const pattern = patternParts.join(' ') || '*';
+  if (subcommand === 'log') {
+    await sendPermissionLog(chatId);
+    return;
+  }
+
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+  if (!subcommand) {
+    await sendPermissionPolicy(chatId, session);
+    return;
+  }
+
+  try {
+    let message;
+    if (subcommand === 'profile' && tool) {
+      await permissionPolicy.setSessionProfile(session, tool === 'default' ? null : tool);
+      message = `✅ Session "${session.name}" uses profile ${permissionPolicy.getSessionProfile(session).name}.`;
+    } else if (subcommand === 'default' && tool) {
+      await permissionPolicy.setUserDefault(userId, tool);
+      message = `✅ Your default profile is now ${tool}. Sessions without their own profile use it.`;
+    } else if (PERMISSION_ACTIONS.includes(subcommand) && tool) {
+      await permissionPolicy.addSessionRule(session, { tool, pattern, action: subcommand });
+      message = `✅ Rule added: ${subcommand} ${tool} ${pattern}`;
+    } else if (subcommand === 'remove' && tool) {
+      if (!await permissionPolicy.removeSessionRule(session, tool, pattern)) {
+        await bot.telegram.sendMessage(chatId, `❌ No session rule for ${tool} ${pattern}.`);
+        return;
+      }
+      message = `✅ Rule removed: ${tool} ${pattern}`;
+    } else if (subcommand === 'reset') {
+      await permissionPolicy.resetSession(session);
+      message = `✅ Session "${session.name}" is back to your default profile with no extra rules.`;
+    } else {
+      await bot.telegram.sendMessage(chatId, `❌ Usage:\n${PERMS_USAGE}`);
+      return;
+    }
+
+    await bot.telegram.sendMessage(chatId, message + await applyPermissionChange(session));
+  } catch (error) {
+    await bot.telegram.sendMessage(chatId, `❌ ${error.message}`);
+  }
+}
+
+async function handlePermsCallback(callbackQuery, profileName) {
+  const chatId = callbackQuery.message.chat.id;
+  const session = await sessionManager.getSession(chatId);
+  if (!session) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'No active session');
+    return;
+  }
+
+  try {
+    await permissionPolicy.setSessionProfile(session, profileName);
+    const note = await applyPermissionChange(session);
+    await bot.telegram.answerCbQuery(callbackQuery.id, `Profile: ${profileName}`);
+    await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined, { inline_keyboard: [] });
+    await bot.telegram.sendMessage(chatId, `✅ Session "${session.name}" uses profile ${profileName}.${note}`);
+  } catch (error) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, error.message.slice(0, 200));
+  }
+}
+
+async function handleRenameCommand(chatId, name) {
+  if (!name || !SESSION_NAME_PATTERN.test(name)) {
+    await bot.telegram.sendMessage(chatId, '❌ Usage: /rename <name> (letters, digits, . _ - up to 32 chars)');
+    return;
+  }
+
+  const session = await sessionManager.getSession(chatId);
+  if (!session) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No active session.');
+    return;
+  }
+
+  try {
+    const previous = session.name;
+    await sessionManager.renameSession(chatId, session, name);
+    await bot.telegram.sendMessage(chatId, `✏️ Renamed "${previous}" to "${name}".`);
+  } catch (error) {
+    await bot.telegram.sendMessage(chatId, `❌ ${error.message}`);
+  }
+}
+
+async function handleModelsCommand(chatId) {
+  const loadingMsg = await bot.telegram.sendMessage(chatId, '🔍 Fetching available models...');
+  
+  try {
+    const { listModels } = await import('./opencode.js');
+    const models = await listModels();
+    
+    const modelList = models.map(m => `• ${escapeHtml(m.id)} - ${escapeHtml(m.name || 'Unknown')}`).join('\n');
+    
+    await sendHtml(
+      chatId,
+      `📋 <b>Available Models</b>\n\n${modelList}\n\nUse /model &lt;id&gt; to set a model`,
+      { editMessageId: loadingMsg.message_id }
+    );
+  } catch (error) {
+    await bot.telegram.editMessageText(
+      chatId,
+      loadingMsg.message_id,
+      undefined,
+      `❌ Failed to fetch models: ${error.message}`
+    );
+  }
+}
+
+async function handleLoginOpenAI(chatId) {
+  const loadingMsg = await bot.telegram.sendMessage(chatId, '🔐 Starting OpenAI login...\nPlease wait for the login URL.');
+  
+  try {
+    const { performLogin } = await import('./login.js');
+
+    log.info('starting OpenAI login flow', { chatId });
+
+    performLogin({
+      provider: 'openai',
+      onUrl: async (url) => {
+        log.info('sending login url to user', { chatId });
+        await sendHtml(
+          chatId,
+          `🔐 <b>OpenAI Login</b>\n\n1. Click this link to open the login page:\n${escapeHtml(url)}\n\n2. Complete the login in your browser\n\n3. The bot will automatically detect when you're done`,
+          { editMessageId: loadingMsg.message_id, disable_web_page_preview: true }
+        );
+      }
+    })
+      .then(async (result) => {
+        if (result.success) {
+          log.info('login flow completed successfully', { chatId });
+          await bot.telegram.editMessageText(
+            chatId,
+            loadingMsg.message_id,
+            undefined,
+            '✅ Successfully logged in to OpenAI!\n\nYou can now start using the agent.'
+          );
+        } else {
+          log.error('login flow failed', { chatId, error: result.error });
+          await bot.telegram.editMessageText(
+            chatId,
+            loadingMsg.message_id,
+            undefined,
+            `❌ Login failed: ${result.error}`
+          );
+        }
+      })
+      .catch(async (error) => {
+        log.error('login flow error', { chatId, error: error.message });
+        await bot.telegram.editMessageText(
+          chatId,
+          loadingMsg.message_id,
+          undefined,
+          `❌ Login error: ${error.message}`
+        );
+      });
+  } catch (error) {
+    log.error('login flow setup error', { chatId, error: error.message });
+    await bot.telegram.editMessageText(
+      chatId,
+      loadingMsg.message_id,
+      undefined,
+      `❌ Login error: ${error.message}`
+    );
+  }
+}
+
+async function getWorkspaceSession(chatId) {
+  const session = await sessionManager.getSession(chatId);
+  if (!session || session.status !== 'active') {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No active session. Send a message or use /new to start one.');
+    return null;
+  }
+  return session;
+}
+
+async function sendPlainOrDocument(chatId, text, filename) {
+  if (text.length > 3500) {
+    await bot.telegram.sendDocument(chatId, { source: Buffer.from(text), filename });
+  } else {
+    await bot.telegram.sendMessage(chatId, text);
+  }
+}
+
+async function handleListCommand(chatId, args) {
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+
+  try {
+    const { listDirectory } = await import('./workspace.js');
+    const listing = await listDirectory(session.workspacePath, args || '.');
+    await sendPlainOrDocument(chatId, listing, 'listing.txt');
+  } catch (error) {
+    await bot.telegram.sendMessage(chatId, `❌ ${error.message}`);
+  }
+}
+
+async function handleTreeCommand(chatId, args) {
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+
+  try {
+    const { renderTree } = await import('./workspace.js');
+    const tree = await renderTree(session.workspacePath, args || '.');
+    await sendPlainOrDocument(chatId, tree, 'tree.txt');
+  } catch (error) {
+    await bot.telegram.sendMessage(chatId, `❌ ${error.message}`);
+  }
+}
+
+async function handleGetCommand(chatId, args) {
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+
+  // "/get [path] [zip]" - directories (and no path) are sent as an archive
+  const tokens = args.split(/\s+/).filter(Boolean);
+  const format = tokens[tokens.length - 1] === 'zip' ? 'zip' : 'tar.gz';
+  if (format === 'zip' || tokens[tokens.length - 1] === 'tar') {
+    tokens.pop();
+  }
+  const target = tokens.join(' ') || '.';
+
+  try {
+    const { readWorkspaceFile, createWorkspaceArchive } = await import('./workspace.js');
+    const file = await readWorkspaceFile(session.workspacePath, target);
+
+    if (!file.isDirectory) {
+      await bot.telegram.sendDocument(chatId, { source: file.buffer, filename: file.filename }, {
+        caption: `📄 ${file.relativePath}`
+      });
+      return;
+    }
+
+    await bot.telegram.sendChatAction(chatId, 'upload_document');
+    const archive = await createWorkspaceArchive(session.workspacePath, target, { format });
+    await bot.telegram.sendDocument(chatId, { source: archive.buffer, filename: archive.filename }, {
+      caption: `📦 ${file.relativePath === '.' ? 'Workspace' : file.relativePath} (${archive.fileCount} files)`
+    });
+  } catch (error) {
+    log.error('get command failed', { chatId, path: target, error: error.message });
+    await bot.telegram.sendMessage(chatId, `❌ ${error.message}`);
+  }
+}
+
+// Repository actions waiting for the user to confirm an "ask" permission
+const pendingRepoActions = new Map();
+
+async function handleRepoCommand(chatId, userId, args) {
+  const { redactUrl } = await import('./git.js');
+  const session = await sessionManager.getOrCreateSession(chatId);
+  const [first, branch] = args.split(/\s+/).filter(Boolean);
+
+  if (!first) {
+    if (session.repo) {
+      await bot.telegram.sendMessage(
+        chatId,
+        `📦 Origin: ${session.repo.url}\nBranch: ${session.repo.branch}\nHEAD: ${session.repo.head}\n\nUse /repo sync to fetch and reset to the origin.`
+      );
+    } else {
+      await bot.telegram.sendMessage(chatId, '❌ Usage: /repo <url> [branch] or /repo sync');
+    }
+    return;
+  }
+
+  if (jobQueue.runningJobs.has(chatId.toString())) {
+    await bot.telegram.sendMessage(chatId, '⏳ A job is running in this session. Wait for it to finish or /cancel it first.');
+    return;
+  }
+
+  let action;
+  if (first === 'sync') {
+    if (!session.repo) {
+      await bot.telegram.sendMessage(chatId, 'ℹ️ This session has no repository. Use /repo <url> [branch] first.');
+      return;
+    }
+    action = { type: 'sync', commands: ['git fetch origin', `git reset --hard origin/${session.repo.branch}`] };
+  } else {
+    action = { type: 'clone', url: first, branch, commands: [`git clone ${first}`] };
+  }
+
+  // Repository commands go through the same allowlist as the agent's bash tool
+  const decisions = action.commands.map((command) => permissionPolicy.evaluate(session, 'bash', command));
+
+  if (decisions.includes('deny')) {
+    await bot.telegram.sendMessage(chatId, '⛔ This repository action is denied by the permission policy.');
+    return;
+  }
+
+  if (decisions.includes('ask')) {
+    const actionId = randomUUID().slice(0, 8);
+    pendingRepoActions.set(actionId, { chatId: chatId.toString(), userId, sessionId: session.id, action });
+    await bot.telegram.sendMessage(
+      chatId,
+      `⚠️ Permission required to run:\n${action.commands.map((command) => redactUrl(command)).join('\n')}`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Approve', callback_data: `repo_ok:${actionId}` },
+            { text: '❌ Deny', callback_data: `repo_no:${actionId}` }
+          ]]
+        }
+      }
+    );
+    return;
+  }
+
+  await runRepoAction(chatId, userId, session, action);
+}
+
+/**
+ * Clone or sync with the requesting user's stored token for the remote's host
+ */
+async function runRepoAction(chatId, userId, session, action) {
+  const { cloneRepository, syncRepository, redactUrl } = await import('./git.js');
+  const { credentialStore } = await import('./credentials.js');
+  const statusMsg = await bot.telegram.sendMessage(
+    chatId,
+    action.type === 'clone' ? `📥 Cloning ${redactUrl(action.url)}...` : '🔄 Syncing with origin...'
+  );
+
+  try {
+    if (action.type === 'clone') {
+      const credential = await credentialStore.getForUrl(userId, action.url);
+      const { branch, head } = await cloneRepository(session.workspacePath, action.url, { branch: action.branch, credential });
+      session.repo = { url: redactUrl(action.url), branch, head, clonedAt: Date.now(), syncedAt: Date.now() };
+    } else {
+      const credential = await credentialStore.getForUrl(userId, session.repo.url);
+      const { branch, head } = await syncRepository(session.workspacePath, session.repo.branch, { credential });
+      session.repo = { ...session.repo, branch, head, syncedAt: Date.now() };
+    }
+    await sessionManager.saveSession(session);
+
+    log.info('repository action completed', { chatId, type: action.type, branch: session.repo.branch });
+    await bot.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `✅ ${action.type === 'clone' ? 'Cloned' : 'Synced'} ${session.repo.url}\nBranch: ${session.repo.branch} @ ${session.repo.head}`
+    );
+  } catch (error) {
+    log.error('repository action failed', { chatId, type: action.type, error: error.message });
+    await bot.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `❌ ${action.type === 'clone' ? 'Clone' : 'Sync'} failed: ${redactUrl(error.message).slice(0, 500)}`
+    );
+  }
+}
+
+async function handleRepoCallback(callbackQuery, action, actionId) {
+  const pending = pendingRepoActions.get(actionId);
+  const chatId = callbackQuery.message.chat.id;
+
+  if (!pending || pending.chatId !== chatId.toString()) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Request expired');
+    return;
+  }
+
+  pendingRepoActions.delete(actionId);
+  await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined, { inline_keyboard: [] });
+
+  if (action === 'repo_no') {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Denied');
+    return;
+  }
+
+  const session = sessionManager.getSessionById(pending.sessionId);
+  if (!session) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Session ended');
+    return;
+  }
+
+  await bot.telegram.answerCbQuery(callbackQuery.id, 'Approved');
+  await runRepoAction(chatId, pending.userId, session, pending.action);
+}
+
+// Commits waiting for the user to approve the message
+const pendingCommits = new Map();
+
+function getSessionBranch(session) {
+  const name = (session.name || session.id.slice(0, 8)).toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
+  return `opencode/${name}`;
+}
+
+async function handleCommitCommand(chatId, args) {
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+
+  if (jobQueue.runningJobs.has(chatId.toString())) {
+    await bot.telegram.sendMessage(chatId, '⏳ A job is running in this session. Wait for it to finish first.');
+    return;
+  }
+
+  const { previewAllChanges } = await import('./git.js');
+  const statusMsg = await bot.telegram.sendMessage(chatId, '📝 Preparing commit...');
+
+  try {
+    const { stat, diff } = await previewAllChanges(session.workspacePath);
+    if (!diff.trim()) {
+      await bot.telegram.editMessageText(chatId, statusMsg.message_id, undefined, 'ℹ️ Nothing to commit.');
+      return;
+    }
+
+    let message = args;
+    if (!message) {
+      const { generateCommitMessage } = await import('./opencode.js');
+      message = await generateCommitMessage(session, diff).catch((error) => {
+        log.error('commit message generation failed', { chatId, error: error.message });
+        return null;
+      });
+    }
+    if (!message) {
+      const fileCount = stat.split('\n').length - 1;
+      message = `Update ${fileCount} file${fileCount === 1 ? '' : 's'}`;
+    }
+
+    const commitId = randomUUID().slice(0, 8);
+    const branch = getSessionBranch(session);
+    pendingCommits.set(commitId, { chatId: chatId.toString(), sessionId: session.id, message, branch });
+
+    await bot.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `📝 Commit to ${branch}\n\n${message}\n\n${stat.slice(-1500)}`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Commit', callback_data: `commit_ok:${commitId}` },
+            { text: '❌ Cancel', callback_data: `commit_no:${commitId}` }
+          ]]
+        }
+      }
+    );
+  } catch (error) {
+    log.error('commit preparation failed', { chatId, error: error.message });
+    await bot.telegram.editMessageText(chatId, statusMsg.message_id, undefined, `❌ Commit failed: ${error.message.slice(0, 500)}`);
+  }
+}
+
+async function handleCommitCallback(callbackQuery, action, commitId) {
+  const pending = pendingCommits.get(commitId);
+  const chatId = callbackQuery.message.chat.id;
+
+  if (!pending || pending.chatId !== chatId.toString()) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Request expired');
+    return;
+  }
+
+  pendingCommits.delete(commitId);
+  await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined, { inline_keyboard: [] });
+
+  if (action === 'commit_no') {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Cancelled');
+    return;
+  }
+
+  const session = sessionManager.getSessionById(pending.sessionId);
+  if (!session) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Session ended');
+    return;
+  }
+
+  try {
+    const { commitChanges } = await import('./git.js');
+    const { branch, head } = await commitChanges(session.workspacePath, {
+      message: pending.message,
+      branch: pending.branch,
+      author: { name: config.GIT_AUTHOR_NAME, email: config.GIT_AUTHOR_EMAIL }
+    });
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Committed');
+    await bot.telegram.sendMessage(chatId, `✅ Committed ${head} on ${branch}. Use /push to publish it.`);
+  } catch (error) {
+    log.error('commit failed', { chatId, error: error.message });
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Failed');
+    await bot.telegram.sendMessage(chatId, `❌ Commit failed: ${error.message.slice(0, 500)}`);
+  }
+}
+
+// Pushes waiting for the user to confirm
+const pendingPushes = new Map();
+
+async function handlePushCommand(chatId, userId) {
+  const session = await getWorkspaceSession(chatId);
+  if (!session) {
+    return;
+  }
+
+  const { getCurrentBranch, getRemoteUrl, redactUrl } = await import('./git.js');
+
+  const remoteUrl = await getRemoteUrl(session.workspacePath);
+  if (!remoteUrl) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No origin remote configured. Clone with /repo first.');
+    return;
+  }
+
+  const branch = await getCurrentBranch(session.workspacePath).catch(() => null);
+  if (!branch) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ The workspace is not on a branch. Use /commit first.');
+    return;
+  }
+
+  const pushId = randomUUID().slice(0, 8);
+  pendingPushes.set(pushId, { chatId: chatId.toString(), userId, sessionId: session.id });
+  await bot.telegram.sendMessage(chatId, `📤 Push ${branch} to ${redactUrl(remoteUrl)}?`, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '✅ Push', callback_data: `push_ok:${pushId}` },
+        { text: '❌ Cancel', callback_data: `push_no:${pushId}` }
+      ]]
+    }
+  });
+}
+
+async function handlePushCallback(callbackQuery, action, pushId) {
+  const pending = pendingPushes.get(pushId);
+  const chatId = callbackQuery.message.chat.id;
+
+  if (!pending || pending.chatId !== chatId.toString()) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Request expired');
+    return;
+  }
+
+  pendingPushes.delete(pushId);
+  await bot.telegram.editMessageReplyMarkup(chatId, callbackQuery.message.message_id, undefined, { inline_keyboard: [] });
+
+  if (action === 'push_no') {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Cancelled');
+    return;
+  }
+
+  const session = sessionManager.getSessionById(pending.sessionId);
+  if (!session) {
+    await bot.telegram.answerCbQuery(callbackQuery.id, 'Session ended');
+    return;
+  }
+
+  await bot.telegram.answerCbQuery(callbackQuery.id, 'Pushing');
+  await runPush(chatId, pending.userId, session);
+}
+
+async function runPush(chatId, userId, session) {
+  const { getRemoteUrl, pushCurrentBranch, redactUrl } = await import('./git.js');
+  const { credentialStore } = await import('./credentials.js');
+
+  const remoteUrl = await getRemoteUrl(session.workspacePath);
+  if (!remoteUrl) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No origin remote configured. Clone with /repo first.');
+    return;
+  }
+
+  const statusMsg = await bot.telegram.sendMessage(chatId, `📤 Pushing to ${redactUrl(remoteUrl)}...`);
+
+  try {
+    const credential = await credentialStore.getForUrl(userId, remoteUrl);
+    const { branch } = await pushCurrentBranch(session.workspacePath, { credential });
+    await bot.telegram.editMessageText(chatId, statusMsg.message_id, undefined, `✅ Pushed ${branch} to ${redactUrl(remoteUrl)}`);
+  } catch (error) {
+    log.error('push failed', { chatId, error: error.message });
+    await bot.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `❌ Push failed: ${redactUrl(error.message).slice(0, 500)}\n\nFor private remotes, store a token with /credentials set <host> <token> [username].`
+    );
+  }
+}
+
+async function handleCredentialsCommand(chatId, userId, args, messageId) {
+  const { credentialStore } = await import('./credentials.js');
+  const [action, host, token, username] = args.split(/\s+/).filter(Boolean);
+
+  if (action === 'set' && host && token) {
+    await credentialStore.set(userId, host, { token, username });
+    // Don't leave the token sitting in the chat history
+    await bot.telegram.deleteMessage(chatId, messageId).catch(() => {});
+    await bot.telegram.sendMessage(chatId, `🔑 Stored credential for ${host}. Your message was deleted.`);
+    return;
+  }
+
+  if (action === 'remove' && host) {
+    const removed = await credentialStore.remove(userId, host);
+    await bot.telegram.sendMessage(chatId, removed ? `🗑 Removed credential for ${host}.` : `ℹ️ No credential stored for ${host}.`);
+    return;
+  }
+
+  if (!action) {
+    const hosts = await credentialStore.listHosts(userId);
+    await bot.telegram.sendMessage(
+      chatId,
+      hosts.length > 0 ? `🔑 Stored credentials:\n${hosts.map((h) => `• ${h}`).join('\n')}` : 'ℹ️ No credentials stored.'
+    );
+    return;
+  }
+
+  await bot.telegram.sendMessage(chatId, '❌ Usage: /credentials [set <host> <token> [username] | remove <host>]');
+}
+
+/**
+ * Mark a cancelled queued job's message. Running jobs edit their own progress
+ * message once the abort lands.
+ */
+export async function notifyJobCancelled(job) {
+  if (!job.wasRunning && job.queuedMessageId) {
+    await bot.telegram
+      .editMessageText(job.chatId, job.queuedMessageId, undefined, `🛑 Cancelled\nJob ID: ${job.id}`)
+      .catch((error) => log.error('queued message edit failed', { chatId: job.chatId, jobId: job.id, error: error.message }));
+  }
+}
+
+async function handleCancel(chatId) {
+  const cancelled = await jobQueue.cancelSessionJobs(chatId);
+  
+  if (cancelled.length === 0) {
+    await bot.telegram.sendMessage(chatId, 'ℹ️ No running or queued jobs to cancel.');
+    return;
+  }
+
+  for (const job of cancelled) {
+    await notifyJobCancelled(job);
+  }
+
+  const running = cancelled.filter((job) => job.wasRunning).length;
+  await bot.telegram.sendMessage(
+    chatId,
+    `🛑 Cancelled ${running} running and ${cancelled.length - running} queued job(s).`
+  );
+}
+
 function getHelpText() {
   return `
 🤖 *OpenCode Agent Bot*
 
 *Commands:*
-/new - Start a new session
-/end - End current session and cleanup
- /model <id> - Set the model (e.g., /model kimi/kimi-k2.5-free)
+/new [name] - Start a new session (existing ones keep running)
+/end [name] - End the current (or named) session and cleanup
+/sessions - List sessions and switch between them
+/switch <name> - Switch the active session
+/rename <name> - Rename the active session
+/resume [name] - Restore an ended or expired session
+/ttl [hours|default] - Show or set the active session's idle timeout
+/perms - Show and change the session's permission profile and rules
+/model <id> - Set the model (e.g., /model kimi/kimi-k2.5-free)
 /models - List available models
 /login openai - Login with OpenAI subscription
 /cancel - Cancel running jobs
+/repo <url> [branch] - Clone a git repository into the workspace
+/repo sync - Fetch and reset the checkout to its origin
+/commit [message] - Commit workspace changes to the session branch
+/push - Push the session branch to origin
+/credentials - Manage your git remote tokens
+/ls [path] - List a workspace directory
+/tree [path] - Show the workspace as a tree
+/get [path] [zip] - Download a file, or a directory/the workspace as an archive
+/status - Show the active session, this chat's jobs and the queue
+/job <id> - Show a job's timings, status and last output
+/logs - Download the active session's log (jobs and OpenCode server output)
+/replay <job id> [speed] - Replay a job's recorded OpenCode events without running the agent
 /help - Show this help
 
 *Usage:*
-Simply type a message to send it to the agent. Each chat maintains its own session and workspace.
+Simply type a message to send it to the agent. Each chat can hold several named sessions, each with its own workspace, conversation and model; messages go to the active one.
+Send a document or photo to save it into the workspace; the caption is used as the prompt.
 
- Default model: kimi/kimi-k2.5-free
+Default model: kimi/kimi-k2.5-free
 `;
 }
 
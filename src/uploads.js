@@ -0,0 +1,203 @@
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+
+const execFileAsync = promisify(execFile);
+
+const log = createLogger('uploads');
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz', '.tar.bz2', '.tar.xz'];
+
+/**
+ * Pick the file to download from a Telegram message (document or largest photo)
+ */
+export function getUploadFromMessage(msg) {
+  if (msg.document) {
+    return {
+      fileId: msg.document.file_id,
+      fileName: msg.document.file_name || `document-${msg.message_id}`,
+      mime: msg.document.mime_type || 'application/octet-stream',
+      size: msg.document.file_size || 0
+    };
+  }
+
+  if (Array.isArray(msg.photo) && msg.photo.length > 0) {
+    // Telegram sends several sizes, the last one is the largest
+    const photo = msg.photo[msg.photo.length - 1];
+    return {
+      fileId: photo.file_id,
+      fileName: `photo-${msg.message_id}.jpg`,
+      mime: 'image/jpeg',
+      size: photo.file_size || 0
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Reduce a user supplied file name to a safe basename
+ */
+export function sanitizeFileName(fileName) {
+  const base = path.basename(fileName || '').replace(/[^\w.\- ]+/g, '_').trim();
+  if (!base || base === '.' || base === '..') {
+    return 'upload';
+  }
+  return base;
+}
+
+export function isImage(fileName, mime) {
+  return (mime || '').startsWith('image/') || !!IMAGE_MIME_TYPES[path.extname(fileName).toLowerCase()];
+}
+
+export function isArchive(fileName) {
+  const lower = fileName.toLowerCase();
+  return ARCHIVE_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+/**
+ * Find a path in the workspace that doesn't clobber an existing file
+ */
+async function getAvailablePath(dir, fileName) {
+  const ext = path.extname(fileName);
+  const stem = fileName.slice(0, fileName.length - ext.length);
+  let candidate = path.join(dir, fileName);
+  let counter = 1;
+
+  while (true) {
+    try {
+      await fs.access(candidate);
+    } catch {
+      return candidate;
+    }
+    candidate = path.join(dir, `${stem}-${counter}${ext}`);
+    counter += 1;
+  }
+}
+
+/**
+ * Extract a zip or tar archive next to itself
+ */
+async function extractArchive(archivePath) {
+  const fileName = path.basename(archivePath);
+  const stem = fileName.replace(/(\.tar)?\.[^.]+$/i, '');
+  const targetDir = await getAvailablePath(path.dirname(archivePath), stem);
+  await fs.mkdir(targetDir, { recursive: true });
+
+  if (fileName.toLowerCase().endsWith('.zip')) {
+    await execFileAsync('unzip', ['-q', '-o', archivePath, '-d', targetDir], { timeout: 60000 });
+  } else {
+    // --no-same-owner keeps extracted files owned by the bot user
+    await execFileAsync('tar', ['-xf', archivePath, '-C', targetDir, '--no-same-owner'], { timeout: 60000 });
+  }
+
+  // Refuse archives that try to escape the target via symlinks or absolute paths
+  const resolvedTarget = await fs.realpath(targetDir);
+  const entries = await fs.readdir(targetDir, { recursive: true });
+  for (const entry of entries) {
+    const entryPath = path.join(targetDir, entry);
+    const stat = await fs.lstat(entryPath);
+    if (stat.isSymbolicLink()) {
+      const linkTarget = path.resolve(path.dirname(entryPath), await fs.readlink(entryPath));
+      if (!linkTarget.startsWith(resolvedTarget + path.sep)) {
+        await fs.rm(entryPath, { force: true });
+        log.error('removed escaping symlink from archive', { entry });
+      }
+    }
+  }
+
+  return targetDir;
+}
+
+/**
+ * Download a Telegram file into the session workspace
+ */
+export async function saveTelegramUpload({ telegram, upload, workspacePath, extract = config.EXTRACT_UPLOADED_ARCHIVES }) {
+  const maxBytes = config.MAX_UPLOAD_MB * 1024 * 1024;
+  if (upload.size > maxBytes) {
+    throw new Error(`File is too large (${Math.ceil(upload.size / 1024 / 1024)}MB, limit ${config.MAX_UPLOAD_MB}MB)`);
+  }
+
+  const fileUrl = await telegram.getFileLink(upload.fileId);
+  const response = await fetch(fileUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download file from Telegram (HTTP ${response.status})`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > maxBytes) {
+    throw new Error(`File is too large (limit ${config.MAX_UPLOAD_MB}MB)`);
+  }
+
+  const fileName = sanitizeFileName(upload.fileName);
+  const absolutePath = await getAvailablePath(workspacePath, fileName);
+  await fs.writeFile(absolutePath, buffer);
+
+  log.info('saved upload', { path: absolutePath, size: buffer.length });
+
+  const saved = {
+    path: path.relative(workspacePath, absolutePath),
+    absolutePath,
+    mime: upload.mime,
+    size: buffer.length,
+    image: isImage(fileName, upload.mime),
+    extractedTo: null
+  };
+
+  if (extract && isArchive(fileName)) {
+    try {
+      const targetDir = await extractArchive(absolutePath);
+      saved.extractedTo = path.relative(workspacePath, targetDir);
+      log.info('extracted archive', { archive: absolutePath, targetDir });
+    } catch (error) {
+      log.error('failed to extract archive', { archive: absolutePath, error: error.message });
+    }
+  }
+
+  return saved;
+}
+
+/**
+ * Describe saved uploads for the agent prompt
+ */
+export function formatAttachmentContext(attachments) {
+  const lines = attachments.map((file) => {
+    const extracted = file.extractedTo ? ` (extracted to ${file.extractedTo}/)` : '';
+    return `- ${file.path}${extracted}`;
+  });
+  return `The user uploaded the following files into the workspace:\n${lines.join('\n')}`;
+}
+
+/**
+ * Build OpenCode file parts for image attachments
+ */
+export async function buildImageParts(attachments) {
+  const parts = [];
+  for (const file of attachments) {
+    if (!file.image) {
+      continue;
+    }
+    const data = await fs.readFile(file.absolutePath);
+    const mime = file.mime?.startsWith('image/')
+      ? file.mime
+      : IMAGE_MIME_TYPES[path.extname(file.absolutePath).toLowerCase()];
+    parts.push({
+      type: 'file',
+      mime,
+      filename: path.basename(file.path),
+      url: `data:${mime};base64,${data.toString('base64')}`
+    });
+  }
+  return parts;
+}
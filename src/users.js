@@ -0,0 +1,79 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+
+const USERS_FILE = path.join(config.DATA_DIR, 'users.json');
+
+const log = createLogger('users');
+
+/**
+ * Telegram users allowed to use the bot: TELEGRAM_ALLOWED_USER_IDS plus
+ * changes made through the admin API, which are persisted under DATA_DIR.
+ */
+class UserAccess {
+  constructor() {
+    this.added = new Set();
+    this.removed = new Set();
+  }
+
+  async init() {
+    try {
+      const stored = JSON.parse(await fs.readFile(USERS_FILE, 'utf8'));
+      this.added = new Set(stored.added || []);
+      this.removed = new Set(stored.removed || []);
+    } catch {
+      // Nothing changed through the API yet
+    }
+  }
+
+  async save() {
+    await fs.writeFile(USERS_FILE, JSON.stringify({
+      added: Array.from(this.added),
+      removed: Array.from(this.removed)
+    }, null, 2));
+  }
+
+  isAllowed(userId) {
+    return this.listUsers().some((user) => user.userId === userId.toString());
+  }
+
+  listUsers() {
+    const users = [];
+    for (const userId of config.TELEGRAM_ALLOWED_USER_IDS) {
+      if (!this.removed.has(userId)) {
+        users.push({ userId, source: 'env' });
+      }
+    }
+    for (const userId of this.added) {
+      if (!config.TELEGRAM_ALLOWED_USER_IDS.includes(userId)) {
+        users.push({ userId, source: 'api' });
+      }
+    }
+    return users;
+  }
+
+  async addUser(userId) {
+    const id = userId.toString();
+    this.removed.delete(id);
+    this.added.add(id);
+    await this.save();
+    log.info('user allowed', { userId: id });
+  }
+
+  async removeUser(userId) {
+    const id = userId.toString();
+    if (!this.isAllowed(id)) {
+      return false;
+    }
+    this.added.delete(id);
+    if (config.TELEGRAM_ALLOWED_USER_IDS.includes(id)) {
+      this.removed.add(id);
+    }
+    await this.save();
+    log.info('user removed', { userId: id });
+    return true;
+  }
+}
+
+export const userAccess = new UserAccess();
@@ -0,0 +1,372 @@
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('workspace');
+
+const ALWAYS_IGNORED = new Set(['.git']);
+const MAX_TREE_ENTRIES = 300;
+// File names passed to one zip invocation, well below the argument length limit
+const ZIP_BATCH_SIZE = 500;
+
+/**
+ * Resolve a user supplied path inside the workspace.
+ * Throws if the path (or a symlink along it) escapes the workspace.
+ */
+export async function resolveWorkspacePath(workspacePath, relativePath = '.') {
+  const root = await fs.realpath(workspacePath);
+  const candidate = path.resolve(root, relativePath.replace(/^\/+/, ''));
+
+  if (candidate !== root && !candidate.startsWith(root + path.sep)) {
+    throw new Error('Path is outside the workspace');
+  }
+
+  let resolved;
+  try {
+    resolved = await fs.realpath(candidate);
+  } catch {
+    throw new Error(`No such file or directory: ${relativePath}`);
+  }
+
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error('Path is outside the workspace');
+  }
+
+  return { root, absolutePath: resolved, relativePath: path.relative(root, resolved) || '.' };
+}
+
+/**
+ * Convert a single .gitignore pattern into a matcher
+ */
+function compileIgnorePattern(line, baseDir) {
+  let pattern = line.trim();
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  }
+
+  let dirOnly = false;
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+
+  // Patterns containing a slash are relative to the .gitignore location
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*' && pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else if (pattern[i + 1] === '*') {
+        source += '.*';
+        i += 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(anchored ? `^${source}$` : `(^|/)${source}$`);
+  return { regex, negate, dirOnly, baseDir };
+}
+
+async function readIgnoreRules(dir, relativeDir) {
+  try {
+    const content = await fs.readFile(path.join(dir, '.gitignore'), 'utf8');
+    return content
+      .split('\n')
+      .map((line) => compileIgnorePattern(line, relativeDir))
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) {
+      continue;
+    }
+    const scoped = rule.baseDir ? path.relative(rule.baseDir, relativePath) : relativePath;
+    if (scoped.startsWith('..')) {
+      continue;
+    }
+    if (rule.regex.test(scoped)) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * Walk a workspace directory, honouring .gitignore files along the way
+ */
+export async function walkWorkspace(root, startPath = root, { maxDepth = Infinity, includeIgnored = false } = {}) {
+  const entries = [];
+  let ignoredCount = 0;
+
+  // Collect rules from .gitignore files between the root and the start directory
+  let inheritedRules = [];
+  const startRelative = path.relative(root, startPath);
+  const segments = startRelative ? startRelative.split(path.sep) : [];
+  for (let i = 0; i < segments.length; i++) {
+    const dirRelative = segments.slice(0, i).join('/');
+    inheritedRules = inheritedRules.concat(await readIgnoreRules(path.join(root, dirRelative), dirRelative));
+  }
+
+  async function visit(dir, depth, rules) {
+    const dirRelative = path.relative(root, dir).split(path.sep).join('/');
+    const scopedRules = rules.concat(await readIgnoreRules(dir, dirRelative));
+    const dirents = await fs.readdir(dir, { withFileTypes: true });
+    dirents.sort((a, b) => {
+      if (a.isDirectory() !== b.isDirectory()) {
+        return a.isDirectory() ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name);
+    });
+
+    for (const dirent of dirents) {
+      const relativePath = dirRelative ? `${dirRelative}/${dirent.name}` : dirent.name;
+      const isDirectory = dirent.isDirectory();
+
+      if (ALWAYS_IGNORED.has(dirent.name) || (!includeIgnored && isIgnored(scopedRules, relativePath, isDirectory))) {
+        ignoredCount += 1;
+        continue;
+      }
+
+      const absolutePath = path.join(dir, dirent.name);
+      const stat = await fs.lstat(absolutePath);
+      entries.push({
+        path: relativePath,
+        name: dirent.name,
+        depth,
+        isDirectory,
+        isSymlink: dirent.isSymbolicLink(),
+        size: stat.size
+      });
+
+      if (isDirectory && depth + 1 < maxDepth) {
+        await visit(absolutePath, depth + 1, scopedRules);
+      }
+    }
+  }
+
+  await visit(startPath, 0, inheritedRules);
+  return { entries, ignoredCount };
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes}B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)}KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * Total size of all files under a directory, ignored ones included
+ */
+export async function getDirectorySize(dir) {
+  let total = 0;
+  const dirents = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const dirent of dirents) {
+    const absolutePath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      total += await getDirectorySize(absolutePath);
+    } else {
+      total += (await fs.lstat(absolutePath)).size;
+    }
+  }
+
+  return total;
+}
+
+/**
+ * List a single directory
+ */
+export async function listDirectory(workspacePath, relativePath = '.') {
+  const { root, absolutePath, relativePath: resolvedRelative } = await resolveWorkspacePath(workspacePath, relativePath);
+  const stat = await fs.stat(absolutePath);
+  if (!stat.isDirectory()) {
+    throw new Error(`Not a directory: ${relativePath}`);
+  }
+
+  const { entries, ignoredCount } = await walkWorkspace(root, absolutePath, { maxDepth: 1 });
+  const lines = entries.map((entry) =>
+    entry.isDirectory ? `📁 ${entry.name}/` : `📄 ${entry.name} (${formatSize(entry.size)})`
+  );
+
+  if (lines.length === 0) {
+    lines.push('(empty)');
+  }
+  if (ignoredCount > 0) {
+    lines.push(`… ${ignoredCount} ignored entr${ignoredCount === 1 ? 'y' : 'ies'} hidden`);
+  }
+
+  return `${resolvedRelative === '.' ? '/' : `/${resolvedRelative}`}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Render the workspace (or a subdirectory) as a tree
+ */
+export async function renderTree(workspacePath, relativePath = '.', { maxDepth = 4 } = {}) {
+  const { root, absolutePath, relativePath: resolvedRelative } = await resolveWorkspacePath(workspacePath, relativePath);
+  const { entries, ignoredCount } = await walkWorkspace(root, absolutePath, { maxDepth });
+
+  const shown = entries.slice(0, MAX_TREE_ENTRIES);
+  const lines = [resolvedRelative === '.' ? '.' : resolvedRelative];
+
+  shown.forEach((entry, index) => {
+    // An entry is the last child if no later sibling shares its depth before a shallower entry appears
+    let isLast = true;
+    for (let i = index + 1; i < entries.length; i++) {
+      if (entries[i].depth < entry.depth) {
+        break;
+      }
+      if (entries[i].depth === entry.depth) {
+        isLast = false;
+        break;
+      }
+    }
+    entry.isLast = isLast;
+
+    let prefix = '';
+    let ancestorDepth = entry.depth - 1;
+    for (let i = index - 1; i >= 0 && ancestorDepth >= 0; i--) {
+      if (shown[i].depth === ancestorDepth) {
+        prefix = (shown[i].isLast ? '    ' : '│   ') + prefix;
+        ancestorDepth -= 1;
+      }
+    }
+
+    lines.push(`${prefix}${isLast ? '└── ' : '├── '}${entry.name}${entry.isDirectory ? '/' : ''}`);
+  });
+
+  if (entries.length > shown.length) {
+    lines.push(`… ${entries.length - shown.length} more entries`);
+  }
+  if (ignoredCount > 0) {
+    lines.push(`(${ignoredCount} ignored entr${ignoredCount === 1 ? 'y' : 'ies'} hidden)`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Read a single workspace file for download
+ */
+export async function readWorkspaceFile(workspacePath, relativePath) {
+  const { absolutePath, relativePath: resolvedRelative } = await resolveWorkspacePath(workspacePath, relativePath);
+  const stat = await fs.stat(absolutePath);
+  const maxBytes = config.MAX_DOWNLOAD_MB * 1024 * 1024;
+
+  if (stat.isDirectory()) {
+    return { isDirectory: true, relativePath: resolvedRelative };
+  }
+
+  if (stat.size > maxBytes) {
+    throw new Error(`File is too large (${formatSize(stat.size)}, limit ${config.MAX_DOWNLOAD_MB}MB)`);
+  }
+
+  return {
+    isDirectory: false,
+    relativePath: resolvedRelative,
+    filename: path.basename(absolutePath),
+    buffer: await fs.readFile(absolutePath)
+  };
+}
+
+/**
+ * Run a command, writing `input` (if any) to its stdin
+ */
+function runCommand(command, args, { cwd, input }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd, stdio: [input == null ? 'ignore' : 'pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${command} exited with code ${code}: ${stderr.trim().slice(0, 300)}`));
+      }
+    });
+    if (input != null) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * Archive the workspace (or a subdirectory) as tar.gz or zip, skipping ignored
+ * files. File names come from the agent and uploads, so they are never read
+ * as options: tar gets a NUL-separated list taken verbatim, zip gets them as
+ * arguments after `--`.
+ */
+export async function createWorkspaceArchive(workspacePath, relativePath = '.', { format = 'tar.gz' } = {}) {
+  const { root, absolutePath, relativePath: resolvedRelative } = await resolveWorkspacePath(workspacePath, relativePath);
+  const { entries } = await walkWorkspace(root, absolutePath);
+  const files = entries.filter((entry) => !entry.isDirectory).map((entry) => entry.path);
+
+  if (files.length === 0) {
+    throw new Error('Nothing to archive');
+  }
+
+  const baseName = resolvedRelative === '.' ? 'workspace' : path.basename(resolvedRelative);
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspace-archive-'));
+  const archivePath = path.join(tmpDir, `${baseName}.${format}`);
+
+  try {
+    if (format === 'zip') {
+      for (let start = 0; start < files.length; start += ZIP_BATCH_SIZE) {
+        const batch = files.slice(start, start + ZIP_BATCH_SIZE);
+        await runCommand('zip', ['-q', '-y', archivePath, '--', ...batch], { cwd: root });
+      }
+    } else {
+      await runCommand('tar', ['-czf', archivePath, '--verbatim-files-from', '--null', '-T', '-'], {
+        cwd: root,
+        input: `${files.join('\0')}\0`
+      });
+    }
+
+    const stat = await fs.stat(archivePath);
+    const maxBytes = config.MAX_DOWNLOAD_MB * 1024 * 1024;
+    if (stat.size > maxBytes) {
+      throw new Error(`Archive is too large (${formatSize(stat.size)}, limit ${config.MAX_DOWNLOAD_MB}MB)`);
+    }
+
+    log.info('created workspace archive', { archivePath, files: files.length, size: stat.size });
+
+    return {
+      filename: path.basename(archivePath),
+      buffer: await fs.readFile(archivePath),
+      fileCount: files.length
+    };
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+}
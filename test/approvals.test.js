@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createTestRoot } from './helpers.js';
+
+const root = await createTestRoot('approvals-test');
+
+const { ApprovalTracker, QUESTION_DECISIONS, renderApprovalRequest, suggestApprovalPattern } = await import('../src/approvals.js');
+
+function createTracker(name, options = {}) {
+  return new ApprovalTracker({
+    persistPath: path.join(root, `${name}.json`),
+    auditPath: path.join(root, `${name}-audit.jsonl`),
+    ...options
+  });
+}
+
+const request = { id: 'per_1', jobId: 'job1', sessionId: 'ses', chatId: '42', messageId: 7, tool: 'bash', input: { command: 'ls' } };
+
+test('decisions are audited once and later answers are ignored', async () => {
+  const tracker = createTracker('decide', { timeoutMs: 0, reminderMs: 0 });
+  tracker.add(request);
+
+  const decided = await tracker.decide('per_1', { decision: 'approve_all', userId: '42', username: '@alice' });
+  assert.strictEqual(decided.decision.username, '@alice');
+  assert.strictEqual(await tracker.decide('per_1', { decision: 'deny' }), null);
+
+  const entries = await tracker.readAudit({ chatId: 42 });
+  assert.strictEqual(entries.length, 1);
+  assert.deepStrictEqual(
+    { tool: entries[0].tool, input: entries[0].input, decision: entries[0].decision, source: entries[0].source },
+    { tool: 'bash', input: '{"command":"ls"}', decision: 'approve_all', source: 'user' }
+  );
+  assert.deepStrictEqual(await tracker.readAudit({ chatId: 43 }), []);
+});
+
+test('the audit log is read from its end', async () => {
+  const tracker = createTracker('tail');
+  const entry = (chatId, index) => JSON.stringify({ chatId, tool: 'bash', input: 'x'.repeat(500), index });
+  const lines = [entry('42', 0), ...Array.from({ length: 400 }, (_, index) => entry('43', index + 1))];
+  await fs.writeFile(path.join(root, 'tail-audit.jsonl'), `${lines.join('\n')}\n`);
+
+  const recent = await tracker.readAudit({ limit: 3 });
+  assert.deepStrictEqual(recent.map((item) => item.index), [398, 399, 400]);
+  // Older windows are read until the chat's entries turn up
+  const [first] = await tracker.readAudit({ chatId: 42 });
+  assert.strictEqual(first.index, 0);
+});
+
+test('audit lines torn by a crash are skipped', async () => {
+  const tracker = createTracker('torn');
+  await fs.writeFile(path.join(root, 'torn-audit.jsonl'), '{"chatId":"42","index":1}\n{"chatId":"42","ind\n{"chatId":"42","index":2}\n');
+
+  assert.deepStrictEqual((await tracker.readAudit({ chatId: 42 })).map((entry) => entry.index), [1, 2]);
+});
+
+test('unanswered requests are reminded and then time out', async () => {
+  const tracker = createTracker('timeout', { timeoutMs: 100, reminderMs: 30, timeoutDecision: 'deny' });
+  let reminders = 0;
+  let decided = null;
+  tracker.add(request, {
+    onReminder: () => reminders++,
+    onTimeout: async (pending, decision) => {
+      decided = await tracker.decide(pending.id, { decision, source: 'timeout' });
+    }
+  });
+
+  // The tracker's timers don't hold the process open
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.strictEqual(decided.decision.source, 'timeout');
+  assert.strictEqual(decided.decision.decision, 'deny');
+  assert.ok(reminders >= 2, `expected reminders, got ${reminders}`);
+  assert.strictEqual(tracker.timers.size, 0);
+});
+
+test('requests left pending by a crash are denied on restore', async () => {
+  const crashed = createTracker('restore', { timeoutMs: 0, reminderMs: 0 });
+  crashed.add(request);
+  await crashed.persistChain;
+
+  const restarted = createTracker('restore');
+  const [expired] = await restarted.restore();
+  assert.strictEqual(expired.id, 'per_1');
+  assert.strictEqual(expired.decision.source, 'restart');
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(path.join(root, 'restore.json'), 'utf8')), []);
+  assert.strictEqual((await restarted.readAudit()).length, 1);
+});
+
+test('questions are dismissed on restore and not audited', async () => {
+  const options = { auditPath: null, restoreDecision: 'dismiss', decisions: QUESTION_DECISIONS };
+  const crashed = createTracker('questions', { ...options, timeoutMs: 0, reminderMs: 0 });
+  crashed.add({ id: 'que_1:1', jobId: 'job1', chatId: '42', messageId: 8, text: 'Which?' });
+  await assert.rejects(crashed.decide('que_1:1', { decision: 'approve' }), /Decision must be one of answer, dismiss/);
+  await crashed.persistChain;
+
+  const restarted = createTracker('questions', options);
+  const [expired] = await restarted.restore();
+  assert.strictEqual(expired.decision.decision, 'dismiss');
+  assert.strictEqual(expired.decision.source, 'restart');
+  assert.deepStrictEqual(await restarted.readAudit(), []);
+});
+
+test('bash requests show the full command, its directory and a narrower pattern', () => {
+  const request = {
+    tool: 'bash',
+    input: {},
+    patterns: ['npm run build -- --watch=false'],
+    always: [],
+    toolInput: { command: 'npm run build -- --watch=false', workdir: '/work/app/packages/web' }
+  };
+
+  const { html, document } = renderApprovalRequest(request, '/work/app');
+  assert.strictEqual(document, null);
+  assert.match(html, /Directory: <code>packages\/web<\/code>/);
+  assert.match(html, /<pre><code class="language-bash">npm run build -- --watch=false<\/code><\/pre>/);
+  assert.strictEqual(suggestApprovalPattern(request, '/work/app'), 'npm run *');
+  assert.strictEqual(suggestApprovalPattern({ ...request, always: ['npm run build *'] }, '/work/app'), 'npm run build *');
+  assert.strictEqual(suggestApprovalPattern({ ...request, toolInput: { command: 'ls -la' }, patterns: [] }, '/work/app'), 'ls *');
+});
+
+test('edit requests show the proposed diff, attached as a patch when long', () => {
+  const diff = (body) => `Index: /work/app/src/a.js\n===================================================================\n--- /work/app/src/a.js\n+++ /work/app/src/a.js\n@@ -1,1 +1,1 @@\n${body}`;
+  const request = { tool: 'edit', input: { filepath: '/work/app/src/a.js', diff: diff('-old\n+new <b>') }, patterns: [], always: ['*'] };
+
+  const short = renderApprovalRequest(request, '/work/app');
+  assert.strictEqual(short.document, null);
+  assert.match(short.html, /File: <code>src\/a\.js<\/code>\nChanges: \+1 −1 lines/);
+  assert.match(short.html, /<pre><code class="language-diff">--- \/work\/app\/src\/a\.js\n[^]*\+new &lt;b&gt;<\/code><\/pre>/);
+  assert.strictEqual(suggestApprovalPattern(request, '/work/app'), 'src/*');
+
+  const longDiff = diff(Array.from({ length: 60 }, (_, i) => `+line ${i}`).join('\n'));
+  const long = renderApprovalRequest({ ...request, input: { ...request.input, diff: longDiff } }, '/work/app');
+  assert.deepStrictEqual(long.document, { filename: 'a.js.patch', content: `${longDiff}\n` });
+  assert.match(long.html, /Changes: \+60 −0 lines, the proposed diff is attached/);
+});
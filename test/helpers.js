@@ -0,0 +1,24 @@
+import { promises as fs, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Settings config.js requires. Import this module before anything that loads it.
+process.env.TELEGRAM_BOT_TOKEN ??= 'test-token';
+process.env.TELEGRAM_WEBHOOK_SECRET ??= 'test-secret';
+process.env.TELEGRAM_ALLOWED_USER_IDS ??= '1';
+
+/**
+ * Create a temporary directory and point DATA_DIR, XDG_DATA_HOME and
+ * WORKSPACE_BASE into it. It is removed when the test process exits, after
+ * the file's own `after` hooks and any writes they leave behind.
+ */
+export async function createTestRoot(prefix) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), `${prefix}-`));
+  process.env.DATA_DIR = path.join(root, 'data');
+  process.env.XDG_DATA_HOME = path.join(root, 'xdg');
+  process.env.WORKSPACE_BASE = path.join(root, 'workspaces');
+
+  process.once('exit', () => rmSync(root, { recursive: true, force: true }));
+
+  return root;
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createTestRoot } from './helpers.js';
+
+process.env.LOG_LEVEL = 'info';
+process.env.SESSION_LOG_MAX_MB = '0.001';
+
+const { createLogger, readSessionLog, closeSessionLog } = await import('../src/logger.js');
+
+const root = await createTestRoot('logger-test');
+const session = { id: 'session-1', chatId: '42', logsDir: root };
+
+test('session loggers write bound context to the session log', async () => {
+  const log = createLogger('test').forSession(session, { jobId: 'job-1' });
+  log.info('job started', { model: 'a/b' });
+  log.debug('below LOG_LEVEL');
+  log.error('job failed', { error: 'boom' });
+  createLogger('test').info('not session scoped');
+  await closeSessionLog(session);
+
+  const entries = (await fs.readFile(path.join(root, 'session.log'), 'utf8'))
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+  assert.strictEqual(entries.length, 2);
+  assert.deepStrictEqual(
+    { ...entries[0], time: undefined },
+    { time: undefined, level: 'info', msg: 'job started', module: 'test', chatId: '42', sessionId: 'session-1', jobId: 'job-1', model: 'a/b' }
+  );
+  assert.strictEqual(entries[1].error, 'boom');
+});
+
+test('readSessionLog keeps whole lines from the end', async () => {
+  const lines = (await fs.readFile(path.join(root, 'session.log'), 'utf8')).split('\n');
+  const sessionLog = await readSessionLog(session, lines[1].length + 10);
+  assert.ok(sessionLog.truncated);
+  assert.match(sessionLog.buffer.toString(), /^\{.*"msg":"job failed".*\}\n$/);
+
+  assert.strictEqual(await readSessionLog({ ...session, logsDir: path.join(root, 'missing') }, 100), null);
+});
+
+test('readSessionLog drops lines torn by a crash', async () => {
+  const logsDir = path.join(root, 'torn');
+  await fs.mkdir(logsDir);
+  await fs.writeFile(path.join(logsDir, 'session.log'), '{"msg":"one"}\n{"msg":"tw\n{"msg":"three"}\n{"ms');
+
+  const sessionLog = await readSessionLog({ ...session, logsDir }, 1024);
+  assert.strictEqual(sessionLog.buffer.toString(), '{"msg":"one"}\n{"msg":"three"}\n');
+});
+
+test('session logs are rotated past SESSION_LOG_MAX_MB', async () => {
+  const logsDir = path.join(root, 'rotated');
+  await fs.mkdir(logsDir);
+  const rotated = { ...session, logsDir };
+  const log = createLogger('test').forSession(rotated);
+  for (let i = 0; i < 20; i++) {
+    log.info(`line ${i}`, { padding: 'x'.repeat(40) });
+  }
+  await closeSessionLog(rotated);
+
+  const current = await fs.readFile(path.join(logsDir, 'session.log'), 'utf8');
+  const previous = await fs.readFile(path.join(logsDir, 'session.log.1'), 'utf8');
+  assert.ok(Buffer.byteLength(current) <= 1024 * 1024 * 0.001);
+  assert.match(current, /"msg":"line 19"/);
+  assert.match(previous, /"msg":"line \d+"/);
+});
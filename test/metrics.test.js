@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+const { metrics } = await import('../src/metrics.js');
+
+test('metrics render in the Prometheus text format', () => {
+  const counter = metrics.counter('test_events_total', 'Test events');
+  const histogram = metrics.histogram('test_seconds', 'Test durations', [1, 10]);
+  metrics.gauge('test_depth', 'Test depth', () => 3);
+
+  counter.inc({ kind: 'a"b' });
+  counter.inc({ kind: 'a"b' }, 2);
+  histogram.observe({ status: 'ok' }, 5);
+
+  const output = metrics.render();
+  assert.match(output, /# TYPE opencode_agent_test_events_total counter\nopencode_agent_test_events_total\{kind="a\\"b"\} 3\n/);
+  assert.match(output, /opencode_agent_test_seconds_bucket\{status="ok",le="1"\} 0\n/);
+  assert.match(output, /opencode_agent_test_seconds_bucket\{status="ok",le="10"\} 1\n/);
+  assert.match(output, /opencode_agent_test_seconds_bucket\{status="ok",le="\+Inf"\} 1\n/);
+  assert.match(output, /opencode_agent_test_seconds_sum\{status="ok"\} 5\n/);
+  assert.match(output, /opencode_agent_test_depth 3\n/);
+});
@@ -0,0 +1,98 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createTestRoot } from './helpers.js';
+
+const root = await createTestRoot('permissions-test');
+
+const { sessionManager } = await import('../src/session.js');
+const { permissionPolicy } = await import('../src/permissions.js');
+
+before(async () => {
+  await sessionManager.init();
+  await permissionPolicy.init();
+});
+
+test('built-in profiles come from the code and user defaults persist', async () => {
+  const permissionsFile = path.join(root, 'data', 'permissions.json');
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(permissionsFile, 'utf8')).profiles, {});
+  assert.deepStrictEqual(permissionPolicy.listProfiles().map(({ name }) => name), ['read-only', 'moderate', 'trusted']);
+
+  const session = await sessionManager.createNewSession(5);
+  assert.deepStrictEqual(permissionPolicy.getSessionProfile(session), { name: 'moderate', source: 'user default' });
+
+  await permissionPolicy.setUserDefault(5, 'read-only');
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(permissionsFile, 'utf8')).userDefaults, { 5: 'read-only' });
+  assert.strictEqual(permissionPolicy.evaluate(session, 'edit'), 'deny');
+  await assert.rejects(permissionPolicy.setUserDefault(5, 'nope'), /Unknown profile/);
+
+  await permissionPolicy.setSessionProfile(session, 'trusted');
+  assert.deepStrictEqual(permissionPolicy.getSessionProfile(session), { name: 'trusted', source: 'session' });
+  assert.strictEqual(permissionPolicy.evaluate(session, 'bash', 'rm -rf build'), 'allow');
+});
+
+test('session pattern rules refine the profile', async () => {
+  const session = await sessionManager.createNewSession(6);
+  assert.strictEqual(permissionPolicy.evaluate(session, 'bash', 'make test'), 'ask');
+
+  await permissionPolicy.addSessionRule(session, { tool: 'bash', pattern: 'make test*', action: 'allow' });
+  await permissionPolicy.addSessionRule(session, { tool: 'webfetch', pattern: 'https://example.com/*', action: 'allow' });
+  assert.strictEqual(permissionPolicy.evaluate(session, 'bash', 'make test'), 'allow');
+  assert.strictEqual(permissionPolicy.evaluate(session, 'bash', 'make deploy'), 'ask');
+
+  const effective = permissionPolicy.getEffectiveConfig(session);
+  assert.deepStrictEqual(effective.webfetch, { '*': 'ask', 'https://example.com/*': 'allow' });
+  await assert.rejects(permissionPolicy.addSessionRule(session, { tool: 'bash', action: 'maybe' }), /Action must be/);
+
+  assert.ok(await permissionPolicy.removeSessionRule(session, 'bash', 'make test*'));
+  assert.strictEqual(await permissionPolicy.removeSessionRule(session, 'bash', 'make test*'), false);
+  assert.strictEqual(permissionPolicy.evaluate(session, 'bash', 'make test'), 'ask');
+});
+
+test('the credentials directory is denied under every profile', async () => {
+  const session = await sessionManager.createNewSession(10);
+  const tokenFile = path.join(root, 'data', 'credentials', '10.json');
+  await permissionPolicy.addSessionRule(session, { tool: 'bash', action: 'allow' });
+
+  for (const profile of ['read-only', 'moderate', 'trusted']) {
+    await permissionPolicy.setSessionProfile(session, profile);
+    assert.strictEqual(permissionPolicy.evaluate(session, 'bash', `cat ${tokenFile}`), 'deny');
+    assert.strictEqual(permissionPolicy.evaluate(session, 'read', tokenFile), 'deny');
+    assert.strictEqual(permissionPolicy.evaluate(session, 'edit', tokenFile), 'deny');
+  }
+  assert.strictEqual(permissionPolicy.evaluate(session, 'bash', 'cat package.json'), 'allow');
+});
+
+test('"approve all" decisions stored by older versions become rules', async () => {
+  const session = await sessionManager.createNewSession(7);
+  session.permissions = { edit: 'allow' };
+  assert.strictEqual(permissionPolicy.evaluate(session, 'edit', 'src/app.js'), 'allow');
+
+  await permissionPolicy.addSessionRule(session, { tool: 'bash', pattern: 'ls', action: 'deny' });
+  assert.strictEqual(session.permissions, undefined);
+  assert.deepStrictEqual(session.permissionRules, [
+    { tool: 'edit', pattern: '*', action: 'allow' },
+    { tool: 'bash', pattern: 'ls', action: 'deny' }
+  ]);
+});
+
+test('built-in profiles stored by older versions no longer shadow the code', async () => {
+  const permissionsFile = path.join(root, 'data', 'permissions.json');
+  await fs.writeFile(permissionsFile, JSON.stringify({
+    profiles: {
+      'moderate': { description: 'Seeded copy', permission: { '*': 'ask', 'question': 'ask' } },
+      'ci': { description: 'Custom', permission: { '*': 'deny', 'bash': 'allow' } }
+    },
+    userDefaults: { 8: 'ci' }
+  }));
+  await permissionPolicy.init();
+
+  const session = await sessionManager.createNewSession(9);
+  assert.strictEqual(permissionPolicy.evaluate(session, 'question'), 'allow');
+  assert.deepStrictEqual(permissionPolicy.listProfiles().map(({ name }) => name), ['read-only', 'moderate', 'trusted', 'ci']);
+  assert.strictEqual(permissionPolicy.getUserDefault(8), 'ci');
+
+  const stored = JSON.parse(await fs.readFile(permissionsFile, 'utf8'));
+  assert.deepStrictEqual(Object.keys(stored.profiles), ['ci']);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createActivity, trackActivity, renderProgress, createThrottledUpdater } from '../src/progress.js';
+import { stripHtml } from '../src/render.js';
+
+function toolEvent(id, state) {
+  return {
+    type: 'message.part.updated',
+    properties: { part: { id, sessionID: 'ses_1', type: 'tool', tool: 'bash', callID: id, state } }
+  };
+}
+
+test('tool parts, todos and steps are tracked and rendered', () => {
+  const activity = createActivity();
+  assert.ok(trackActivity(activity, { type: 'message.part.updated', properties: { part: { id: 's1', type: 'step-start' } } }));
+  trackActivity(activity, toolEvent('t1', { status: 'running', input: { command: 'npm test' }, time: { start: 1000 } }));
+  trackActivity(activity, toolEvent('t1', { status: 'completed', input: { command: 'npm test' }, time: { start: 1000, end: 4200 } }));
+  trackActivity(activity, toolEvent('t2', { status: 'running', input: { command: 'echo <hi>' }, time: { start: 5000 } }));
+  trackActivity(activity, {
+    type: 'todo.updated',
+    properties: { sessionID: 'ses_1', todos: [{ id: '1', content: 'Fix tests', status: 'in_progress' }] }
+  });
+  assert.strictEqual(trackActivity(activity, { type: 'session.idle', properties: {} }), false);
+
+  const html = renderProgress({ output: 'Working on it', elapsed: 7, activity }, { now: 6000 });
+  assert.strictEqual(html, [
+    '🔄 <b>Running</b> • 7s elapsed',
+    '<b>Todo</b>\n▶️ Fix tests',
+    '<b>Tools</b> (2)\n✅ bash <code>npm test</code> 3.2s\n⏳ bash <code>echo &lt;hi&gt;</code> 1.0s',
+    '<b>Steps</b>\n<blockquote expandable>— step 1 —\n✅ bash <code>npm test</code> 3.2s\n⏳ bash <code>echo &lt;hi&gt;</code> 1.0s</blockquote>',
+    '<pre>Working on it</pre>'
+  ].join('\n\n'));
+});
+
+test('progress stays within Telegram\'s message limit, dropping steps, then tools, then output', () => {
+  const activity = createActivity();
+  const long = 'x'.repeat(200);
+  trackActivity(activity, {
+    type: 'todo.updated',
+    properties: { todos: Array.from({ length: 12 }, (_, i) => ({ id: `${i}`, content: `${i} ${long}`, status: 'pending' })) }
+  });
+  for (let i = 0; i < 30; i++) {
+    trackActivity(activity, { type: 'message.part.updated', properties: { part: { id: `s${i}`, type: 'step-start' } } });
+    trackActivity(activity, { type: 'message.part.updated', properties: { part: { id: `r${i}`, type: 'reasoning', text: long } } });
+    trackActivity(activity, toolEvent(`t${i}`, {
+      status: i % 2 ? 'running' : 'error',
+      input: { command: `${i} <${long}>` },
+      error: long,
+      time: { start: 1000, end: i % 2 ? undefined : 2000 }
+    }));
+  }
+  const output = Array.from({ length: 20 }, () => long).join('\n');
+
+  const html = renderProgress({ output, elapsed: 90, activity }, { now: 6000 });
+  assert.ok(stripHtml(html).length <= 3800, `${stripHtml(html).length} visible characters`);
+  assert.match(html, /<b>Todo<\/b>/);
+  // Steps are trimmed first; the tools and output still fit
+  assert.ok(Number(html.match(/… (\d+) earlier/)[1]) > 90 - 25);
+  assert.match(html, /<b>Tools<\/b> \(30\)/);
+  assert.match(html, /<pre>[x\n]+<\/pre>/);
+  // Tags stay balanced after trimming
+  for (const tag of ['b', 'code', 'pre']) {
+    assert.strictEqual((html.match(new RegExp(`<${tag}>`, 'g')) || []).length, (html.match(new RegExp(`</${tag}>`, 'g')) || []).length);
+  }
+});
+
+test('throttled updater sends only the latest, changed update per interval', async () => {
+  const sent = [];
+  const updater = createThrottledUpdater({ render: (n) => `v${n}`, send: async (text) => sent.push(text), intervalMs: 50 });
+
+  updater.update(1);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  updater.update(2);
+  updater.update(3);
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  updater.update(3);
+  await new Promise((resolve) => setTimeout(resolve, 80));
+  updater.update(4);
+  await updater.stop();
+
+  assert.deepStrictEqual(sent, ['v1', 'v3']);
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { createTestRoot } from './helpers.js';
+
+const root = await createTestRoot('queue-test');
+process.env.MAX_CONCURRENT_JOBS = '1';
+
+const { jobQueue } = await import('../src/queue.js');
+
+test('cancelSessionJobs aborts the running job and skips queued ones', async () => {
+  let started;
+  const running = new Promise((resolve) => {
+    started = resolve;
+  });
+  let queuedRan = false;
+
+  const runningId = await jobQueue.add(1, 'u', 'first', ({ signal }) => {
+    started();
+    return new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Job cancelled')));
+    });
+  });
+  const queuedId = await jobQueue.add(1, 'u', 'second', async () => {
+    queuedRan = true;
+  });
+
+  await running;
+  const cancelled = await jobQueue.cancelSessionJobs(1);
+  assert.deepStrictEqual(cancelled.map((job) => [job.id, job.wasRunning]), [[runningId, true], [queuedId, false]]);
+
+  await jobQueue.onIdle();
+  assert.strictEqual(queuedRan, false);
+  assert.strictEqual(jobQueue.getJob(runningId).status, 'cancelled');
+  assert.strictEqual(jobQueue.getJob(queuedId).status, 'cancelled');
+  assert.deepStrictEqual(await jobQueue.cancelSessionJobs(1), []);
+});
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+test('jobs of one chat run one at a time', async () => {
+  const { JobQueue } = await import('../src/queue.js');
+  const queue = new JobQueue({ concurrency: 2 });
+  const first = deferred();
+  const order = [];
+
+  await queue.add(1, 'a', 'one', async () => {
+    order.push('one:start');
+    await first.promise;
+    order.push('one:end');
+  });
+  await queue.add(1, 'a', 'two', async () => {
+    order.push('two:start');
+  });
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepStrictEqual(order, ['one:start']);
+
+  first.resolve();
+  await queue.onIdle();
+  assert.deepStrictEqual(order, ['one:start', 'one:end', 'two:start']);
+});
+
+test('free slots are shared round-robin across users', async () => {
+  const { JobQueue } = await import('../src/queue.js');
+  const queue = new JobQueue({ concurrency: 1 });
+  const blocker = deferred();
+  const order = [];
+  const run = (name) => async () => {
+    order.push(name);
+  };
+
+  await queue.add(10, 'busy', 'blocker', () => blocker.promise);
+  await queue.add(11, 'busy', 'a1', run('a1'));
+  await queue.add(12, 'busy', 'a2', run('a2'));
+  await queue.add(13, 'busy', 'a3', run('a3'));
+  const otherId = await queue.add(20, 'other', 'b1', run('b1'));
+
+  assert.strictEqual(queue.getPosition(otherId), 2);
+
+  const moves = [];
+  queue.on('position', (job) => moves.push([job.message, job.position]));
+
+  blocker.resolve();
+  await queue.onIdle();
+  assert.deepStrictEqual(order, ['a1', 'b1', 'a2', 'a3']);
+  assert.deepStrictEqual(moves.slice(0, 3), [['b1', 1], ['a2', 2], ['a3', 3]]);
+});
+
+test('queue positions account for chats that already have a running job', async () => {
+  const { JobQueue } = await import('../src/queue.js');
+  const queue = new JobQueue({ concurrency: 2 });
+  const busyChat = deferred();
+  const otherChat = deferred();
+  const order = [];
+  const run = (name) => async () => {
+    order.push(name);
+  };
+
+  await queue.add(1, 'a', 'a1', () => busyChat.promise);
+  await queue.add(3, 'c', 'c1', () => otherChat.promise);
+  const freeStarted = deferred();
+  const waitingId = await queue.add(1, 'a', 'a2', run('a2'));
+  const freeId = await queue.add(2, 'b', 'b1', async () => {
+    order.push('b1');
+    freeStarted.resolve();
+  });
+
+  // a2 has to wait for a1, so b1 takes the next free slot
+  assert.strictEqual(queue.getPosition(freeId), 1);
+  assert.strictEqual(queue.getPosition(waitingId), 2);
+
+  otherChat.resolve();
+  await freeStarted.promise;
+  assert.deepStrictEqual(order, ['b1']);
+
+  busyChat.resolve();
+  await queue.onIdle();
+  assert.deepStrictEqual(order, ['b1', 'a2']);
+});
+
+test('restore requeues queued jobs and marks running ones interrupted', async () => {
+  const { JobQueue } = await import('../src/queue.js');
+  const persistPath = path.join(root, 'restore-jobs.json');
+  const before = new JobQueue({ concurrency: 1, persistPath });
+  const blocker = deferred();
+
+  const runningId = await before.add(1, 'a', 'running', () => blocker.promise, { data: { messageId: 5 } });
+  const queuedId = await before.add(2, 'b', 'queued', async () => {}, { data: { messageId: 6 } });
+  await new Promise((resolve) => setImmediate(resolve));
+  await before.persist();
+
+  const after = new JobQueue({ concurrency: 1, persistPath });
+  const ran = [];
+  const { requeued, interrupted } = await after.restore((job) => async () => {
+    ran.push(job.message);
+  });
+
+  assert.deepStrictEqual(requeued.map((job) => job.id), [queuedId]);
+  assert.deepStrictEqual(interrupted.map((job) => [job.id, job.data.messageId]), [[runningId, 5]]);
+  await after.onIdle();
+  assert.deepStrictEqual(ran, ['queued']);
+  assert.strictEqual(after.getJob(runningId).status, 'interrupted');
+  assert.strictEqual(after.getJob(queuedId).status, 'completed');
+
+  blocker.resolve();
+  await before.onIdle();
+});
+
+test('shutdown helpers pause the queue and interrupt running jobs', async () => {
+  const { JobQueue } = await import('../src/queue.js');
+  const queue = new JobQueue({ concurrency: 1, persistPath: null });
+  let queuedRan = false;
+
+  const runningId = await queue.add(1, 'a', 'running', ({ signal }) => new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Job cancelled')));
+  }));
+  await queue.add(2, 'b', 'queued', async () => {
+    queuedRan = true;
+  });
+  queue.pause();
+
+  assert.strictEqual(await queue.waitForRunning(50), false);
+  assert.deepStrictEqual(queue.interruptRunning('restart').map((job) => job.id), [runningId]);
+  assert.strictEqual(await queue.waitForRunning(1000), true);
+  assert.strictEqual(queue.getJob(runningId).status, 'interrupted');
+  assert.strictEqual(queuedRan, false);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { markdownToHtml, renderReply, stripHtml } from '../src/render.js';
+
+test('markdownToHtml escapes text and converts common Markdown', () => {
+  assert.strictEqual(
+    markdownToHtml('## Plan\n\nUse **bold**, *italic* and `a_b<c>` for snake_case_names & 2*3*4.'),
+    '<b>Plan</b>\n\nUse <b>bold</b>, <i>italic</i> and <code>a_b&lt;c&gt;</code> for snake_case_names &amp; 2*3*4.'
+  );
+  assert.strictEqual(
+    markdownToHtml('- [docs](https://example.com/a_b)\n> note'),
+    '• <a href="https://example.com/a_b">docs</a>\n<blockquote>note</blockquote>'
+  );
+  assert.strictEqual(
+    markdownToHtml('```js\nif (a < b) {}\n```'),
+    '<pre><code class="language-js">if (a &lt; b) {}</code></pre>'
+  );
+});
+
+test('markdown that does not nest cleanly is left as text', () => {
+  assert.strictEqual(markdownToHtml('**a *b***'), '**a *b***');
+});
+
+test('renderReply splits long answers on paragraph and fence boundaries', () => {
+  const paragraph = 'word '.repeat(150).trim();
+  const code = Array.from({ length: 60 }, (_, i) => `line ${i}`).join('\n');
+  const markdown = [paragraph, paragraph, '```sh', code, '```', paragraph].join('\n\n');
+
+  const { messages, documents } = renderReply(markdown, { limit: 1000 });
+  assert.deepStrictEqual(documents, []);
+  assert.ok(messages.every((message) => message.length <= 1000));
+  // Each code chunk is a complete <pre> block
+  for (const message of messages) {
+    assert.strictEqual((message.match(/<pre>/g) || []).length, (message.match(/<\/pre>/g) || []).length);
+  }
+  assert.strictEqual(
+    messages.map(stripHtml).join('\n\n').replace(/\s+/g, ' '),
+    [paragraph, paragraph, code, paragraph].join(' ').replace(/\s+/g, ' ')
+  );
+});
+
+test('renderReply sends large code blocks as named documents', () => {
+  const code = Array.from({ length: 120 }, (_, i) => `print(${i})`).join('\n');
+  const { messages, documents } = renderReply(`Here it is:\n\n\`\`\`python:scripts/run.py\n${code}\n\`\`\`\n\nand more\n\n\`\`\`ts\n${code}\n\`\`\``);
+
+  assert.deepStrictEqual(documents.map((doc) => doc.filename), ['run.py', 'snippet-2.ts']);
+  assert.strictEqual(documents[0].content, `${code}\n`);
+  assert.strictEqual(messages.length, 1);
+  assert.match(messages[0], /📎 <i>run\.py<\/i> \(120 lines, sent as a file\)/);
+});
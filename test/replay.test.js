@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createTestRoot } from './helpers.js';
+
+const root = await createTestRoot('replay-test');
+
+const { EventRecorder, getRecordingPath, readRecording } = await import('../src/recorder.js');
+const { replayOpenCode } = await import('../src/opencode.js');
+
+const session = {
+  id: 'session-1',
+  chatId: '42',
+  workspacePath: path.join(root, 'workspace'),
+  logsDir: path.join(root, 'logs'),
+  permissionRules: []
+};
+
+const events = [
+  { type: 'message.part.updated', properties: { part: { id: 'p1', sessionID: 'ses_1', type: 'text' }, delta: 'Hello ' } },
+  { type: 'message.part.updated', properties: { part: { id: 'p2', sessionID: 'ses_other', type: 'text' }, delta: 'ignored' } },
+  { type: 'permission.asked', properties: { id: 'perm_1', sessionID: 'ses_1', permission: 'bash', metadata: { command: 'ls' } } },
+  {
+    type: 'question.asked',
+    properties: {
+      id: 'que_1',
+      sessionID: 'ses_1',
+      questions: [{ header: 'Runtime', question: 'Which Node version?', options: [{ label: '20', description: 'LTS' }] }]
+    }
+  },
+  { type: 'file.edited', properties: { file: 'src/index.js' } },
+  { type: 'message.part.updated', properties: { part: { id: 'p1', sessionID: 'ses_1', type: 'text' }, delta: 'world' } },
+  { type: 'session.idle', properties: { sessionID: 'ses_1' } },
+  { type: 'message.part.updated', properties: { part: { id: 'p3', sessionID: 'ses_1', type: 'text' }, delta: 'after idle' } }
+];
+
+async function writeRecording(jobId, options) {
+  const recorder = await new EventRecorder(getRecordingPath(session, jobId), options)
+    .open({ jobId, sessionId: session.id, opencodeSessionId: 'ses_1' });
+  events.forEach((event) => recorder.record(event));
+  await recorder.close();
+  return recorder;
+}
+
+test('replays a recording through the progress, approval and question pipeline', async () => {
+  await writeRecording('job-1');
+  const recording = await readRecording(getRecordingPath(session, 'job-1'));
+  assert.strictEqual(recording.entries.length, events.length);
+  assert.strictEqual(recording.truncated, false);
+
+  const progress = [];
+  const approvals = [];
+  const questions = [];
+  const result = await replayOpenCode({
+    session,
+    jobId: 'job-2',
+    recording,
+    onProgress: (data) => progress.push(data.output),
+    onApproval: async (permission) => {
+      approvals.push(permission);
+      return { approved: true, remember: true };
+    },
+    onQuestion: async (question) => {
+      questions.push(question);
+      return [['20']];
+    }
+  });
+
+  assert.strictEqual(result.output, 'Hello world');
+  assert.deepStrictEqual(progress, ['Hello ', 'Hello world']);
+  assert.deepStrictEqual(approvals, [
+    { id: 'perm_1', tool: 'bash', input: { command: 'ls' }, patterns: [], always: [], toolInput: {} }
+  ]);
+  assert.deepStrictEqual(questions.map(({ id, questions: asked }) => [id, asked[0].question]), [['que_1', 'Which Node version?']]);
+  assert.deepStrictEqual(result.editedFiles, [path.join('src', 'index.js')]);
+  // Decisions made during a replay are not applied to the session
+  assert.deepStrictEqual(session.permissionRules, []);
+});
+
+test('recordings stop at their size cap', async () => {
+  const recorder = await writeRecording('job-3', { maxBytes: 600 });
+  assert.ok(recorder.truncated);
+  assert.ok((await fs.stat(recorder.filePath)).size <= 600);
+
+  const recording = await readRecording(recorder.filePath);
+  assert.ok(recording.truncated);
+  assert.ok(recording.entries.length > 0 && recording.entries.length < events.length);
+});
+
+test('a recording cut off mid-line is read up to its last whole line', async () => {
+  const recorder = await writeRecording('job-4');
+  const content = await fs.readFile(recorder.filePath, 'utf8');
+  await fs.writeFile(recorder.filePath, content.slice(0, content.trimEnd().lastIndexOf('\n') + 10));
+
+  const recording = await readRecording(recorder.filePath);
+  assert.ok(recording.truncated);
+  assert.strictEqual(recording.entries.length, events.length - 1);
+});
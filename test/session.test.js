@@ -0,0 +1,124 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createTestRoot } from './helpers.js';
+
+const root = await createTestRoot('session-test');
+
+const { sessionManager } = await import('../src/session.js');
+
+before(async () => {
+  // A session file in the old per-chat layout
+  await fs.mkdir(path.join(root, 'data', 'sessions'), { recursive: true });
+  await fs.writeFile(path.join(root, 'data', 'sessions', '42.json'), JSON.stringify({
+    id: 'legacy-session-id',
+    chatId: '42',
+    workspacePath: path.join(root, 'workspaces', 'legacy-session-id', 'workspace'),
+    model: 'a/b',
+    lastActive: Date.now(),
+    status: 'active',
+    // Runtime state older versions wrote to disk
+    serverPort: 1,
+    pendingApprovals: {}
+  }));
+  // An ended session's file, as older versions left it
+  await fs.writeFile(path.join(root, 'data', 'sessions', 'ended-session-id.json'), JSON.stringify({
+    id: 'ended-session-id',
+    chatId: '43',
+    status: 'ended'
+  }));
+  await sessionManager.init();
+});
+
+test('legacy per-chat session files are migrated and made active', async () => {
+  const active = await sessionManager.getSession(42);
+  assert.strictEqual(active.id, 'legacy-session-id');
+  assert.strictEqual(active.name, 'main');
+  await assert.rejects(fs.access(path.join(root, 'data', 'sessions', '42.json')));
+});
+
+test('runtime state is kept out of session files', async () => {
+  const session = sessionManager.getSessionById('legacy-session-id');
+  assert.strictEqual(session.serverPort, undefined);
+
+  sessionManager.getRuntime(session).pendingApprovals.perm = () => {};
+  await sessionManager.saveSession(session);
+
+  const stored = JSON.parse(await fs.readFile(path.join(root, 'data', 'sessions', 'legacy-session-id.json'), 'utf8'));
+  assert.strictEqual(stored.serverPort, undefined);
+  assert.strictEqual(stored.pendingApprovals, undefined);
+  assert.strictEqual(typeof sessionManager.getRuntime(session).pendingApprovals.perm, 'function');
+});
+
+test('chats can hold several named sessions', async () => {
+  const first = await sessionManager.createNewSession(7);
+  const second = await sessionManager.createNewSession(7, 'feature');
+  assert.strictEqual(first.name, 'session-1');
+  assert.strictEqual((await sessionManager.getSession(7)).id, second.id);
+
+  await assert.rejects(sessionManager.createNewSession(7, 'FEATURE'), /already exists/);
+
+  const switched = await sessionManager.switchSession(7, 'session-1');
+  assert.strictEqual(switched.id, first.id);
+  assert.strictEqual((await sessionManager.getSession(7)).id, first.id);
+
+  await sessionManager.renameSession(7, first, 'bugfix');
+  assert.strictEqual(sessionManager.findChatSession(7, 'bugfix').id, first.id);
+
+  await sessionManager.endSession(7);
+  assert.strictEqual((await sessionManager.getSession(7)).id, second.id);
+  assert.deepStrictEqual(sessionManager.getChatSessions(7).map((s) => s.name), ['feature']);
+  await assert.rejects(fs.access(path.join(root, 'data', 'sessions', `${first.id}.json`)));
+});
+
+test('files of sessions ended by older versions are removed on start', async () => {
+  await assert.rejects(fs.access(path.join(root, 'data', 'sessions', 'ended-session-id.json')));
+});
+
+test('ended sessions are archived and can be resumed', async () => {
+  const session = await sessionManager.createNewSession(9, 'archived');
+  session.opencodeSessionId = 'ses_123';
+  await fs.writeFile(path.join(session.workspacePath, 'notes.md'), 'keep me\n');
+
+  await sessionManager.endSession(9);
+  await assert.rejects(fs.access(session.workspacePath));
+  assert.strictEqual(await sessionManager.getSession(9), undefined);
+
+  const resumed = await sessionManager.resumeSession(9, session.id);
+  assert.strictEqual(resumed.id, session.id);
+  assert.strictEqual(resumed.opencodeSessionId, 'ses_123');
+  assert.strictEqual(await fs.readFile(path.join(session.workspacePath, 'notes.md'), 'utf8'), 'keep me\n');
+  assert.strictEqual((await sessionManager.getSession(9)).id, session.id);
+
+  // The archive is consumed by the restore
+  assert.strictEqual(await sessionManager.resumeSession(9, session.id), null);
+});
+
+test('idle cleanup warns once, then ends sessions past their TTL', async () => {
+  const session = await sessionManager.createNewSession(11, 'idle');
+  await sessionManager.setSessionTtl(session, 2);
+  await assert.rejects(sessionManager.setSessionTtl(session, 1000), /between/);
+
+  const warned = [];
+  const expired = [];
+  const hooks = {
+    warnBeforeMs: 30 * 60 * 1000,
+    onWarn: (s) => warned.push(s.id),
+    onExpire: (s) => expired.push(s.id)
+  };
+
+  session.lastActive = Date.now() - (2 * 60 - 10) * 60 * 1000;
+  await sessionManager.cleanupIdleSessions(3, hooks);
+  await sessionManager.cleanupIdleSessions(3, hooks);
+  assert.deepStrictEqual(warned, [session.id]);
+  assert.deepStrictEqual(expired, []);
+
+  session.lastActive = Date.now() - 3 * 60 * 60 * 1000;
+  await sessionManager.cleanupIdleSessions(3, { ...hooks, isBusy: () => true });
+  assert.deepStrictEqual(expired, []);
+
+  await sessionManager.cleanupIdleSessions(3, hooks);
+  assert.ok(expired.includes(session.id));
+  assert.strictEqual(sessionManager.getSessionById(session.id), undefined);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import './helpers.js';
+
+const { serverSupervisor } = await import('../src/supervisor.js');
+
+// Stand-in for `opencode serve` that only answers the health endpoint
+const FAKE_SERVER = `
+require('http')
+  .createServer((req, res) => res.writeHead(req.url === '/global/health' ? 200 : 404).end())
+  .listen(Number(process.argv[1]), '127.0.0.1');
+`;
+
+function spawnFakeServer(session, port) {
+  return spawn(process.execPath, ['-e', FAKE_SERVER, port.toString()], { stdio: 'ignore' });
+}
+
+async function waitFor(check, timeout = 10000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const value = check();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out');
+}
+
+test('acquire starts a server once and restarts it after a crash', async () => {
+  const session = { id: 'supervised' };
+  const port = await serverSupervisor.acquire(session, spawnFakeServer);
+  assert.strictEqual(await serverSupervisor.acquire(session, spawnFakeServer), port);
+  serverSupervisor.release(session.id);
+  serverSupervisor.release(session.id);
+
+  const { pid } = serverSupervisor.getServer(session.id);
+  process.kill(pid, 'SIGKILL');
+
+  const restarted = await waitFor(() => {
+    const server = serverSupervisor.getServer(session.id);
+    return server && server.pid !== pid ? server : null;
+  });
+  assert.ok(restarted.port);
+
+  await serverSupervisor.stop(session.id);
+  assert.strictEqual(serverSupervisor.getServer(session.id), null);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import './helpers.js';
+
+const { getUploadFromMessage, sanitizeFileName, isArchive, formatAttachmentContext } = await import('../src/uploads.js');
+
+test('sanitizeFileName strips directories and unsafe characters', () => {
+  assert.strictEqual(sanitizeFileName('../../etc/passwd'), 'passwd');
+  assert.strictEqual(sanitizeFileName('my report (1).csv'), 'my report _1_.csv');
+  assert.strictEqual(sanitizeFileName('..'), 'upload');
+  assert.strictEqual(sanitizeFileName(undefined), 'upload');
+});
+
+test('getUploadFromMessage picks the largest photo size', () => {
+  const upload = getUploadFromMessage({
+    message_id: 7,
+    photo: [
+      { file_id: 'small', file_size: 10 },
+      { file_id: 'large', file_size: 100 }
+    ]
+  });
+  assert.strictEqual(upload.fileId, 'large');
+  assert.strictEqual(upload.fileName, 'photo-7.jpg');
+  assert.strictEqual(upload.mime, 'image/jpeg');
+  assert.strictEqual(getUploadFromMessage({ message_id: 8, photo: [] }), null);
+});
+
+test('isArchive recognizes zip and tar variants', () => {
+  assert.ok(isArchive('project.zip'));
+  assert.ok(isArchive('project.TAR.GZ'));
+  assert.ok(isArchive('project.tgz'));
+  assert.ok(!isArchive('notes.txt'));
+});
+
+test('formatAttachmentContext lists saved paths', () => {
+  const text = formatAttachmentContext([
+    { path: 'data.csv' },
+    { path: 'src.zip', extractedTo: 'src' }
+  ]);
+  assert.match(text, /- data\.csv/);
+  assert.match(text, /- src\.zip \(extracted to src\/\)/);
+});
@@ -0,0 +1,72 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestRoot } from './helpers.js';
+
+const { resolveWorkspacePath, listDirectory, renderTree, getDirectorySize, createWorkspaceArchive } = await import('../src/workspace.js');
+
+const workspace = await createTestRoot('workspace-test');
+
+before(async () => {
+  await fs.mkdir(path.join(workspace, 'src', 'lib'), { recursive: true });
+  await fs.mkdir(path.join(workspace, 'node_modules', 'dep'), { recursive: true });
+  await fs.writeFile(path.join(workspace, '.gitignore'), 'node_modules/\n*.log\n!keep.log\n');
+  await fs.writeFile(path.join(workspace, 'src', 'index.js'), 'export {};\n');
+  await fs.writeFile(path.join(workspace, 'src', 'lib', 'util.js'), 'export {};\n');
+  await fs.writeFile(path.join(workspace, 'debug.log'), 'noise');
+  await fs.writeFile(path.join(workspace, 'keep.log'), 'signal');
+  await fs.symlink('/etc', path.join(workspace, 'escape'));
+});
+
+test('resolveWorkspacePath rejects paths outside the workspace', async () => {
+  await assert.rejects(resolveWorkspacePath(workspace, '../'), /outside the workspace/);
+  await assert.rejects(resolveWorkspacePath(workspace, 'escape/passwd'), /outside the workspace/);
+  const resolved = await resolveWorkspacePath(workspace, '/src/index.js');
+  assert.strictEqual(resolved.relativePath, path.join('src', 'index.js'));
+});
+
+test('listDirectory hides gitignored entries', async () => {
+  const listing = await listDirectory(workspace);
+  assert.match(listing, /📁 src\//);
+  assert.match(listing, /keep\.log/);
+  assert.doesNotMatch(listing, /debug\.log/);
+  assert.doesNotMatch(listing, /node_modules/);
+});
+
+test('renderTree draws nested directories', async () => {
+  const tree = await renderTree(workspace, 'src');
+  assert.strictEqual(tree, ['src', '├── lib/', '│   └── util.js', '└── index.js'].join('\n'));
+});
+
+test('getDirectorySize counts every file, ignored ones included', async () => {
+  const expected = ['node_modules/\n*.log\n!keep.log\n', 'export {};\n', 'export {};\n', 'noise', 'signal', '/etc']
+    .reduce((total, content) => total + content.length, 0);
+  assert.strictEqual(await getDirectorySize(workspace), expected);
+});
+
+test('archives treat file names starting with a dash or holding a newline as names', async () => {
+  const names = ['--checkpoint=1', '--checkpoint-action=exec=touch pwned', '-q', 'new\nline'];
+  await fs.mkdir(path.join(workspace, 'odd'));
+  for (const name of names) {
+    await fs.writeFile(path.join(workspace, 'odd', name), name);
+  }
+
+  for (const format of ['tar.gz', 'zip']) {
+    const archive = await createWorkspaceArchive(workspace, 'odd', { format });
+    const archivePath = path.join(os.tmpdir(), `${path.basename(workspace)}-${archive.filename}`);
+    await fs.writeFile(archivePath, archive.buffer);
+    const listing = format === 'zip'
+      ? execFileSync('unzip', ['-Z1', archivePath]).toString()
+      : execFileSync('tar', ['-tzf', archivePath]).toString();
+    await fs.rm(archivePath);
+
+    assert.strictEqual(archive.fileCount, names.length);
+    for (const name of names.slice(0, 3)) {
+      assert.ok(listing.split('\n').includes(`odd/${name}`), `${format} lacks ${name}`);
+    }
+  }
+  await assert.rejects(fs.access(path.join(workspace, 'odd', 'pwned')));
+});